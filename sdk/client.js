@@ -0,0 +1,207 @@
+"use strict";
+
+// Client of a node's JSON-RPC server (see JSON-RPC.md). Every API has a method that resolves with the reply's payload
+// and throws the errors from errors.js instead of returning { success: false }.
+
+const Transaction = require("../src/core/transaction");
+const { createRPCError, NetworkError, NotFoundError, InvalidRequestError, TimeoutError } = require("./errors");
+
+const REQUEST_TIMEOUT = 30000; // Time before a request is given up on (ms)
+const POLL_INTERVAL   = 1000;  // Time between two checks when waiting for a transaction (ms)
+const WAIT_TIMEOUT    = 60000; // Time before waiting for a transaction is given up on (ms)
+
+class Client {
+    constructor(url = "http://localhost:5000", options = {}) {
+        this.url     = url.replace(/\/+$/, "");
+        this.fetch   = options.fetch || globalThis.fetch; // fetch implementation, the global one by default
+        this.timeout = options.timeout || REQUEST_TIMEOUT;
+    }
+
+    async request(method, params) {
+        // APIs without params are GET requests, the others are POST requests with a { params } body.
+        const init = typeof params === "undefined"
+            ? { method: "GET" }
+            : { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ params }) };
+
+        let response, body;
+
+        try {
+            response = await this.fetch(`${this.url}/${method}`, { ...init, signal: AbortSignal.timeout(this.timeout) });
+            body = await response.json();
+        } catch (e) {
+            throw new NetworkError(`Could not get an answer to ${method} from ${this.url}: ${e.message}`, method);
+        }
+
+        if (!body.success) {
+            // Errors that the RPC server did not handle itself come from fastify as { message }.
+            throw createRPCError((body.error && body.error.message) || body.message || "Unknown error.", response.status, method);
+        }
+
+        return body.payload;
+    }
+
+    // GET
+
+    async getBlockNumber() {
+        return (await this.request("get_blockNumber")).blockNumber;
+    }
+
+    async getAddress() {
+        // Public key of the node.
+        return (await this.request("get_address")).address;
+    }
+
+    async getChainId() {
+        return (await this.request("get_chainId")).chainId;
+    }
+
+    async getWork() {
+        return await this.request("get_work");
+    }
+
+    async isMining() {
+        return (await this.request("mining")).mining;
+    }
+
+    async getHashrate() {
+        return await this.request("get_hashrate");
+    }
+
+    // Blocks
+
+    async getBlockByHash(hash) {
+        return (await this.request("get_blockByHash", { hash })).block;
+    }
+
+    async getBlockByNumber(blockNumber) {
+        return (await this.request("get_blockByNumber", { blockNumber })).block;
+    }
+
+    async getBlockTransactionCountByHash(hash) {
+        return (await this.request("get_blockTransactionCountByHash", { hash })).count;
+    }
+
+    async getBlockTransactionCountByNumber(blockNumber) {
+        return (await this.request("get_blockTransactionCountByNumber", { blockNumber })).count;
+    }
+
+    // Accounts
+
+    async getBalance(address) {
+        // Accounts that do not exist yet have nothing, the node rejects them as invalid requests.
+        try {
+            return (await this.request("get_balance", { address })).balance;
+        } catch (err) {
+            if (err instanceof InvalidRequestError && typeof address === "string") return "0";
+
+            throw err;
+        }
+    }
+
+    async getNonce(address) {
+        return (await this.request("get_nonce", { address })).nonce;
+    }
+
+    async getCode(address) {
+        return (await this.request("get_code", { address })).code;
+    }
+
+    async getStorage(address) {
+        return (await this.request("get_storage", { address })).storage;
+    }
+
+    async getMultisig(address) {
+        return await this.request("get_multisig", { address });
+    }
+
+    // Transactions
+
+    async getTransactionByBlockNumberAndIndex(blockNumber, index) {
+        return (await this.request("get_transactionByBlockNumberAndIndex", { blockNumber, index })).transaction;
+    }
+
+    async getTransactionByBlockHashAndIndex(hash, index) {
+        return (await this.request("get_transactionByBlockHashAndIndex", { hash, index })).transaction;
+    }
+
+    async getTransactionByHash(hash) {
+        return await this.request("get_transactionByHash", { hash });
+    }
+
+    async getTransactionsByAddress(address, { offset = 0, limit = 20 } = {}) {
+        return await this.request("get_transactionsByAddress", { address, offset, limit });
+    }
+
+    async getTransactionReceipt(hash) {
+        return (await this.request("get_transactionReceipt", { hash })).receipt;
+    }
+
+    async getLogs({ fromBlock, toBlock, address, topics, limit } = {}) {
+        // Logs of a range of blocks, filtered by contract address and topics (see get_logs in JSON-RPC.md).
+        return (await this.request("get_logs", { fromBlock, toBlock, address, topics, limit })).logs;
+    }
+
+    async call({ address, sender, args, value, contractGas, blockNumber }) {
+        // Run a contract without sending a transaction, resolves with what it would do (see call in JSON-RPC.md).
+        return await this.request("call", { address, sender, args, value, contractGas, blockNumber });
+    }
+
+    async estimateGas({ address, sender, args, value, blockNumber }) {
+        // Least contract gas that a call succeeds with.
+        return (await this.request("estimateGas", { address, sender, args, value, blockNumber })).contractGas;
+    }
+
+    async sendTransaction(transaction) {
+        // Resolves with the transaction's hash once the node has taken it into its pool, and rejects if the node did
+        // not. Wait for its receipt to know that it went through.
+        await this.request("sendTransaction", { transaction });
+
+        return Transaction.getHash(transaction);
+    }
+
+    async proposeMultisigTransaction(transaction) {
+        return await this.request("propose_multisigTransaction", { transaction });
+    }
+
+    async signMultisigTransaction(hash, signature) {
+        return await this.request("sign_multisigTransaction", { hash, signature });
+    }
+
+    async getMultisigTransaction(hash) {
+        return await this.request("get_multisigTransaction", { hash });
+    }
+
+    async submitWork(workId, nonce, timestamp) {
+        return await this.request("submit_work", { workId, nonce, timestamp });
+    }
+
+    // Waiting for transactions
+
+    async waitFor(check, description, { timeout = WAIT_TIMEOUT, interval = POLL_INTERVAL } = {}) {
+        // Call "check" until it stops throwing NotFoundError.
+        const deadline = Date.now() + timeout;
+
+        for (;;) {
+            try {
+                return await check();
+            } catch (err) {
+                if (!(err instanceof NotFoundError)) throw err;
+            }
+
+            if (Date.now() + interval > deadline) throw new TimeoutError(`Timed out waiting for ${description}.`);
+
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+    }
+
+    async waitForTransaction(hash, options) {
+        // Resolves with the transaction and where it is once it is in the canonical chain.
+        return await this.waitFor(() => this.getTransactionByHash(hash), `transaction ${hash}`, options);
+    }
+
+    async waitForReceipt(hash, options) {
+        return await this.waitFor(() => this.getTransactionReceipt(hash), `the receipt of transaction ${hash}`, options);
+    }
+}
+
+module.exports = Client;
@@ -0,0 +1,70 @@
+"use strict";
+
+// Errors thrown by the SDK:
+// - RPCError:            The node answered with { success: false }, "status" is the HTTP status and "method" the API.
+//   - InvalidRequestError: The params were rejected ("Invalid request.").
+//   - NotFoundError:       The block, transaction or account asked for does not exist.
+// - NetworkError:        The node could not be reached or did not answer with JSON.
+// - TimeoutError:        Something that was waited for did not happen in time.
+
+const NOT_FOUND_MESSAGES = [
+    "Invalid block hash.",
+    "Invalid block number.",
+    "Invalid transaction index.",
+    "Invalid transaction hash.",
+    "Invalid multisig address."
+];
+
+class RPCError extends Error {
+    constructor(message, status, method) {
+        super(message);
+
+        this.name   = "RPCError";
+        this.status = status;
+        this.method = method;
+    }
+}
+
+class InvalidRequestError extends RPCError {
+    constructor(message, status, method) {
+        super(message, status, method);
+
+        this.name = "InvalidRequestError";
+    }
+}
+
+class NotFoundError extends RPCError {
+    constructor(message, status, method) {
+        super(message, status, method);
+
+        this.name = "NotFoundError";
+    }
+}
+
+class NetworkError extends Error {
+    constructor(message, method) {
+        super(message);
+
+        this.name   = "NetworkError";
+        this.method = method;
+    }
+}
+
+class TimeoutError extends Error {
+    constructor(message) {
+        super(message);
+
+        this.name = "TimeoutError";
+    }
+}
+
+function createRPCError(message, status, method) {
+    // Pick the error class from the message the node sent.
+    if (message === "Invalid request.") return new InvalidRequestError(message, status, method);
+
+    if (NOT_FOUND_MESSAGES.includes(message)) return new NotFoundError(message, status, method);
+
+    return new RPCError(message, status, method);
+}
+
+module.exports = { RPCError, InvalidRequestError, NotFoundError, NetworkError, TimeoutError, createRPCError };
@@ -0,0 +1,15 @@
+"use strict";
+
+// JavaScript SDK of Ekehi Network, see SDK.md.
+
+const Client = require("./client");
+const Wallet = require("./wallet");
+const Transaction = require("../src/core/transaction");
+const { RPCError, InvalidRequestError, NotFoundError, NetworkError, TimeoutError } = require("./errors");
+const { UNITS, parseUnits, formatUnits } = require("./units");
+
+module.exports = {
+    Client, Wallet, Transaction,
+    UNITS, parseUnits, formatUnits,
+    RPCError, InvalidRequestError, NotFoundError, NetworkError, TimeoutError
+};
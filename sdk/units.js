@@ -0,0 +1,52 @@
+"use strict";
+
+// Amounts are integers of Wei kept as decimal strings (see "Units" in README.md), these helpers convert them from and
+// to other units without going through floating point numbers.
+
+const UNITS = {
+    wei:        0,
+    kwei:       3,
+    mwei:       6,
+    gwei:       9,
+    microekehi: 12,
+    milliekehi: 15,
+    ekehi:      18
+};
+
+function getDecimals(unit) {
+    const decimals = UNITS[unit.toLowerCase()];
+
+    if (typeof decimals === "undefined") throw new Error(`Unknown unit "${unit}".`);
+
+    return decimals;
+}
+
+function parseUnits(value, unit = "ekehi") {
+    // "1.5" Ekehi to "1500000000000000000" Wei.
+    const decimals = getDecimals(unit);
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(value.toString().trim());
+
+    if (!match) throw new Error(`Invalid amount "${value}".`);
+
+    const [ , whole, fraction = "" ] = match;
+
+    if (fraction.replace(/0+$/, "").length > decimals) throw new Error(`Amount "${value}" is smaller than 1 Wei.`);
+
+    return BigInt(whole + fraction.padEnd(decimals, "0").slice(0, decimals)).toString();
+}
+
+function formatUnits(wei, unit = "ekehi") {
+    // "1500000000000000000" Wei to "1.5" Ekehi, trailing zeros are dropped.
+    const decimals = getDecimals(unit);
+    const amount = BigInt(wei);
+
+    if (amount < 0n) throw new Error(`Invalid amount "${wei}".`);
+
+    const digits = amount.toString().padStart(decimals + 1, "0");
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, "");
+
+    return fraction === "" ? whole : `${whole}.${fraction}`;
+}
+
+module.exports = { UNITS, parseUnits, formatUnits };
@@ -0,0 +1,105 @@
+"use strict";
+
+// A key pair that builds and signs transactions. Nonces and the chain ID are fetched from the client when they are not
+// given, and the wallet keeps count of the transactions it has built, so that several can be sent before they are mined.
+
+const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const Transaction = require("../src/core/transaction");
+const { unlockKey, KEYSTORE_DIR } = require("../src/wallet/keystore");
+const { derivePrivateKey, getPath } = require("../src/wallet/hd");
+const { assemble } = require("../src/core/assembler");
+
+const BASE_GAS = "1000000000000"; // Minimum gas of a transaction
+
+class Wallet {
+    constructor(privateKey, client = null) {
+        this.keyPair   = ec.keyFromPrivate(privateKey, "hex");
+        this.publicKey = this.keyPair.getPublic("hex");
+        this.address   = SHA256(this.publicKey);
+        this.client    = client; // Client used to fetch nonces and the chain ID
+        this.nextNonce = null;   // Nonce of the next transaction, as far as the wallet knows
+    }
+
+    static generate(client = null) {
+        return new Wallet(ec.genKeyPair().getPrivate("hex").padStart(64, "0"), client);
+    }
+
+    static fromMnemonic(mnemonic, index = 0, client = null, passphrase = "") {
+        return new Wallet(derivePrivateKey(mnemonic, getPath(index), passphrase), client);
+    }
+
+    static async fromKeystore(address, password, client = null, dir = KEYSTORE_DIR) {
+        return new Wallet(await unlockKey(address, password, dir), client);
+    }
+
+    getClient() {
+        if (!this.client) throw new Error("The wallet needs a client to fetch its nonce and the chain ID.");
+
+        return this.client;
+    }
+
+    async buildTransaction(recipient, amount, additionalData = {}, options = {}) {
+        // Unsigned transaction, options are { gas, nonce, chainId, timestamp }.
+        let nonce = options.nonce;
+
+        if (typeof nonce === "undefined") {
+            // The node does not count transactions that are still in its pool, so we keep our own count as well.
+            nonce = Math.max(await this.getClient().getNonce(this.address), this.nextNonce || 0);
+        }
+
+        const chainId = typeof options.chainId === "undefined" ? await this.getClient().getChainId() : options.chainId;
+
+        const tx = new Transaction(
+            recipient,
+            BigInt(amount).toString(),
+            BigInt(options.gas || BASE_GAS).toString(),
+            additionalData,
+            nonce,
+            chainId,
+            options.timestamp || Date.now()
+        );
+
+        // Only count the nonce as used once the transaction is built, so that a failed request does not leave a gap.
+        this.nextNonce = Math.max(nonce + 1, this.nextNonce || 0);
+
+        return tx;
+    }
+
+    signTransaction(tx) {
+        // Sign a transaction, transactions from multisig accounts get our signature added to theirs.
+        Transaction.sign(tx, this.keyPair);
+
+        return tx;
+    }
+
+    async transfer(recipient, amount, options = {}) {
+        return this.signTransaction(await this.buildTransaction(recipient, amount, {}, options));
+    }
+
+    async deploy(code, options = {}) {
+        // Our address becomes the contract's address once the transaction is mined (see CONTRACT.md). Nodes reject code
+        // that does not assemble, so we check it first, which throws an error telling what is wrong.
+        assemble(code);
+
+        return this.signTransaction(await this.buildTransaction("", options.amount || "0", { scBody: code }, options));
+    }
+
+    async call(contract, args = [], options = {}) {
+        // Options also take "contractGas", the gas paid to run the contract, and "amount".
+        const additionalData = {
+            contractGas: BigInt(options.contractGas || 0).toString(),
+            txCallArgs: args.map(arg => arg.toString())
+        };
+
+        return this.signTransaction(await this.buildTransaction(contract, options.amount || "0", additionalData, options));
+    }
+
+    async send(tx) {
+        // Send a signed transaction through the client, resolves with its hash.
+        return await this.getClient().sendTransaction(tx);
+    }
+}
+
+module.exports = Wallet;
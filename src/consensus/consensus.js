@@ -1,62 +1,121 @@
-const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
 const Block = require("../core/block");
-const { log16 } = require("../utils/utils");
+const createPowEngine = require("./engines/pow");
+const createAuthorityEngine = require("./engines/authority");
 const generateMerkleRoot = require("../core/merkle");
-const { BLOCK_REWARD, BLOCK_TIME } = require("../config.json");
+const { getPostStateRoot } = require("../core/stateRoot");
+const { BLOCK_REWARD, FORK_HEIGHT } = require("../config.json");
+
+// The consensus engine decides how blocks are sealed, how seals are verified and how much work a block holds.
+// Every engine has these methods:
+// - verifySeal(header):                   Check if the block's seal is valid.
+// - getBlockWork(block):                  Get the amount of work in a block, used for fork choice.
+// - getDifficulty(newBlock, blockDB):     Get the difficulty of the block after "newBlock".
+// - seal(block):                          Seal a block, resolves with the sealed block or null if sealing was aborted.
+// - abort():                              Abort sealing, used when a new block arrives.
+// - start(chainInfo, produceBlock):       Start sealing blocks, "produceBlock" builds, seals and adds a new block.
+// - onTransaction():                      Called when a new transaction is added to the pool.
+// - getHashrate():                        Get the total and per-worker hashrate (H/s) of the node.
+let engine = createPowEngine();
+
+function createEngine(name, options) {
+    switch (name) {
+        case "pow":
+            return createPowEngine(options);
+
+        case "authority":
+            return createAuthorityEngine(options);
+
+        default:
+            throw new Error(`Unknown consensus engine "${name}".`);
+    }
+}
+
+function setEngine(newEngine) {
+    engine = newEngine;
+}
+
+function getEngine() {
+    return engine;
+}
 
 async function verifyBlock(newBlock, chainInfo, stateDB) {
     // Check if the block is valid or not, if yes, we will push it to the chain, update the difficulty, chain state and the transaction pool.
-                        
+
     // A block is valid under these factors:
-    // - The hash of this block is equal to the hash re-generated according to the block's info.
-    // - The block is mined (the hash starts with (4+difficulty) amount of zeros).
+    // - Its header is valid on its own and against the latest block (checked by verifyBlockHeader).
+    // - The difficulty of the block is the difficulty our chain expects.
     // - Transactions in the block are valid.
-    // - Block's timestamp is not greater than the current timestamp and is not lower than the previous block's timestamp.
-    // - Block's parentHash is equal to latest block's hash
-    // - The new difficulty can only be greater than 1 or lower than 1 compared to the old difficulty.
+    // - The state root in the header is equal to the state root we get after executing the block. Blocks below
+    //   FORK_HEIGHT were made before state roots and have an empty one.
 
     return (
-        Block.hasValidPropTypes(newBlock) &&
+        verifyBlockHeader(newBlock, chainInfo.latestBlock) &&
 
-        // Check hash
-        SHA256(
-            newBlock.blockNumber.toString()       + 
-            newBlock.timestamp.toString()         + 
-            newBlock.txRoot                       + 
-            newBlock.difficulty.toString()        +
-            chainInfo.latestBlock.hash            +
-            newBlock.nonce.toString()
-        ) === newBlock.hash &&
-        chainInfo.latestBlock.hash === newBlock.parentHash &&
-        
-        // Check proof of work
-        newBlock.hash.startsWith("00000" + Array(Math.floor(log16(chainInfo.difficulty)) + 1).join("0")) &&
         newBlock.difficulty === chainInfo.difficulty &&
 
         // Check transactions
         await Block.hasValidTransactions(newBlock, stateDB) &&
-        
-        // Check timestamp
-        newBlock.timestamp > chainInfo.latestBlock.timestamp &&
-        newBlock.timestamp < Date.now() &&
-    
-        // Check block number
-        newBlock.blockNumber - 1 === chainInfo.latestBlock.blockNumber &&
+
+        // Check state root
+        (newBlock.blockNumber < FORK_HEIGHT ? newBlock.stateRoot === "" : await getPostStateRoot(newBlock, stateDB) === newBlock.stateRoot)
+    )
+}
+
+function verifyBlockHeader(newBlock, parentBlock) {
+    // These checks do not need the chain state, so they can also be used on blocks from branches that we are not on.
+
+    // A block header is valid under these factors:
+    // - The header is valid on its own and against the parent block's header (checked by verifyHeader).
+    // - The transaction root and gas limit are valid.
+
+    return (
+        Block.hasValidPropTypes(newBlock) &&
+
+        verifyHeader(newBlock, parentBlock) &&
 
         // Check transaction hash
-        generateMerkleRoot(newBlock.transactions) === newBlock.txRoot &&
+        generateMerkleRoot(newBlock.transactions, newBlock.blockNumber) === newBlock.txRoot &&
 
         // Check gas limit
         Block.hasValidGasLimit(newBlock)
     )
 }
 
+function verifyHeader(header, parentHeader) {
+    // These checks only need the header, so they can be used on headers sent without their transactions.
+
+    // A header is valid under these factors:
+    // - The hash of this block is equal to the hash re-generated according to the block's info.
+    // - The block is sealed (checked by the consensus engine).
+    // - Block's timestamp is not greater than the current timestamp and is not lower than the parent block's timestamp.
+    // - Block's parentHash is equal to the parent block's hash.
+    // - Block's number is right after the parent block's number.
+
+    return (
+        Block.hasValidHeaderPropTypes(header) &&
+
+        // Check hash
+        Block.getHash(header) === header.hash &&
+        parentHeader.hash === header.parentHash &&
+
+        // Check seal
+        engine.verifySeal(header) &&
+
+        // Check timestamp
+        header.timestamp > parentHeader.timestamp &&
+        header.timestamp < Date.now() &&
+
+        // Check block number
+        header.blockNumber - 1 === parentHeader.blockNumber
+    )
+}
+
 async function updateDifficulty(newBlock, chainInfo, blockDB) {
-    if (newBlock.blockNumber % 100 === 0) {
-        const oldBlock = await blockDB.get((newBlock.blockNumber - 99).toString());
+    chainInfo.difficulty = await engine.getDifficulty(newBlock, blockDB);
+}
 
-        chainInfo.difficulty = Math.ceil(chainInfo.difficulty * 100 * BLOCK_TIME / (newBlock.timestamp - oldBlock.timestamp));
-    }
+function getBlockWork(block) {
+    return engine.getBlockWork(block);
 }
 
-module.exports = { verifyBlock, updateDifficulty };
+module.exports = { createEngine, setEngine, getEngine, verifyBlock, verifyBlockHeader, verifyHeader, updateDifficulty, getBlockWork };
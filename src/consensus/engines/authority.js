@@ -0,0 +1,114 @@
+"use strict";
+
+// Authority engine for development chains, blocks are signed by one of the configured authorities instead of mined.
+// A block is sealed as soon as a transaction arrives, and also on a fixed interval if one is set.
+
+const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
+const BN = require("bn.js");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+function getSigner(header) {
+    // Recover the address that signed the block's hash, null if the signature is invalid.
+    try {
+        const sigObj = {
+            r: new BN(header.signature.r, 16),
+            s: new BN(header.signature.s, 16),
+            recoveryParam: parseInt(header.signature.v, 16)
+        };
+
+        const signerPubkey = ec.recoverPubKey(new BN(header.hash, 16), sigObj, sigObj.recoveryParam);
+
+        return SHA256(ec.keyFromPublic(signerPubkey).getPublic("hex"));
+    } catch (e) {
+        return null;
+    }
+}
+
+function createAuthorityEngine({ authorities = [], keyPair, sealInterval = 0 }) {
+    const canSeal = authorities.includes(SHA256(keyPair.getPublic("hex")));
+
+    let chainInfo = null, produceBlock = null;
+    let sealing = false, pending = false;
+
+    async function trySeal() {
+        if (!produceBlock || chainInfo.syncing) return;
+
+        // If we are already sealing, seal again right after so that new transactions are not left behind.
+        if (sealing) {
+            pending = true;
+            return;
+        }
+
+        sealing = true;
+
+        do {
+            pending = false;
+
+            await produceBlock();
+        } while (pending);
+
+        sealing = false;
+    }
+
+    return {
+        name: "authority",
+
+        verifySeal(header) {
+            return (
+                header.difficulty === 1 &&
+                typeof header.signature === "object" && header.signature !== null &&
+                authorities.includes(getSigner(header))
+            );
+        },
+
+        getBlockWork(block) {
+            return 1n;
+        },
+
+        async getDifficulty(newBlock, blockDB) {
+            return 1;
+        },
+
+        async seal(block) {
+            // A block's timestamp must be in the past when it is verified.
+            while (Date.now() <= block.timestamp) await new Promise(r => setTimeout(r, 1));
+
+            const sigObj = keyPair.sign(block.hash);
+
+            block.signature = {
+                v: sigObj.recoveryParam.toString(16),
+                r: sigObj.r.toString(16),
+                s: sigObj.s.toString(16)
+            };
+
+            return block;
+        },
+
+        abort() {
+            // Sealing is instant, so there is nothing to stop.
+        },
+
+        getHashrate() {
+            // Nothing is mined.
+            return { total: 0, workers: [] };
+        },
+
+        start(_chainInfo, _produceBlock) {
+            if (!canSeal) {
+                console.log("LOG :: Our key is not one of the authorities, blocks will not be sealed.");
+                return;
+            }
+
+            chainInfo = _chainInfo;
+            produceBlock = _produceBlock;
+
+            if (sealInterval > 0) setInterval(trySeal, sealInterval);
+        },
+
+        onTransaction() {
+            trySeal();
+        }
+    };
+}
+
+module.exports = createAuthorityEngine;
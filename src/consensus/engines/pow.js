@@ -0,0 +1,82 @@
+"use strict";
+
+// Proof of work engine, blocks are sealed by finding a nonce that brings the block's hash below the target.
+
+const MinerPool = require("../../miner/pool");
+const { FORK_HEIGHT } = require("../../config.json");
+const {
+    DIFFICULTY_WINDOW, LEGACY_DIFFICULTY_WINDOW, meetsTarget, getWork, getNextDifficulty, getLegacyNextDifficulty
+} = require("../pow");
+
+function createPowEngine({ minerThreads } = {}) {
+    let pool = null; // Pool of mining workers, only created once we start mining
+    let sealing = false;
+
+    return {
+        name: "pow",
+
+        verifySeal(header) {
+            return meetsTarget(header.hash, header.difficulty, header.blockNumber);
+        },
+
+        getBlockWork(block) {
+            // The expected amount of hashes needed to mine a block.
+            return getWork(block.difficulty, block.blockNumber);
+        },
+
+        async getDifficulty(newBlock, blockDB) {
+            // Difficulty is retargeted every block, based on the average block time of the latest blocks.
+
+            if (newBlock.blockNumber <= 1) return newBlock.difficulty;
+
+            if (newBlock.blockNumber + 1 < FORK_HEIGHT) {
+                // The difficulty of blocks below FORK_HEIGHT only changed every 100 blocks.
+                if (newBlock.blockNumber % LEGACY_DIFFICULTY_WINDOW !== 0) return newBlock.difficulty;
+
+                const oldBlock = await blockDB.get((newBlock.blockNumber - LEGACY_DIFFICULTY_WINDOW + 1).toString());
+
+                return getLegacyNextDifficulty(newBlock.difficulty, newBlock.timestamp - oldBlock.timestamp);
+            }
+
+            const oldBlockNumber = Math.max(1, newBlock.blockNumber - DIFFICULTY_WINDOW);
+            const oldBlock = await blockDB.get(oldBlockNumber.toString());
+
+            return getNextDifficulty(newBlock.difficulty, newBlock.timestamp - oldBlock.timestamp, newBlock.blockNumber - oldBlockNumber);
+        },
+
+        seal(block) {
+            // Mine the block with every worker in the pool, resolves with the mined block or null if sealing was aborted.
+            if (!pool) pool = new MinerPool(minerThreads);
+
+            return pool.mine(block);
+        },
+
+        abort() {
+            // Stop mining the current block, used when another node has mined before us. Workers wait for the next template.
+            if (pool) pool.stop();
+        },
+
+        getHashrate() {
+            return pool ? pool.getHashrate() : { total: 0, workers: [] };
+        },
+
+        start(chainInfo, produceBlock, time = 1000) {
+            // Mine continuously, a new block is started as soon as the previous one is sealed or aborted.
+            setInterval(async () => {
+                if (sealing || chainInfo.syncing) return; // Unsynced nodes should not mine
+
+                sealing = true;
+
+                await produceBlock();
+
+                sealing = false;
+            }, time);
+        },
+
+        onTransaction() {
+            // Transactions are picked up when the next block is started.
+        }
+    };
+}
+
+module.exports = createPowEngine;
@@ -0,0 +1,62 @@
+"use strict";
+
+// Proof of work rules, shared by the miner worker and the block validator so that they can not disagree.
+
+const { log16 } = require("../utils/utils");
+const { BLOCK_TIME, FORK_HEIGHT } = require("../config.json");
+
+const MAX_TARGET        = 2n ** 236n; // Target at difficulty 1 (a hash starting with 5 zeros in hex is below it)
+const DIFFICULTY_WINDOW = 10;         // Amount of blocks used to average block time
+const MAX_ADJUSTMENT    = 4n;         // Difficulty can only change by 1/4 of itself per block
+
+const LEGACY_DIFFICULTY_WINDOW = 100; // Blocks below FORK_HEIGHT were retargeted every 100 blocks
+
+function getTarget(difficulty, blockNumber) {
+    // Blocks below FORK_HEIGHT were mined when a hash had to start with 5 zeros in hex, plus one for every power of 16
+    // of the difficulty, which is the same as being below a power of 16.
+    if (blockNumber < FORK_HEIGHT) return 16n ** BigInt(64 - 5 - Math.floor(log16(difficulty)));
+
+    return MAX_TARGET / BigInt(difficulty);
+}
+
+function meetsTarget(hash, difficulty, blockNumber) {
+    // A block is mined if its hash, as a number, is below the target.
+    return (
+        typeof hash === "string" && /^[0-9a-f]{64}$/.test(hash) &&
+        Number.isInteger(difficulty) && difficulty >= 1 &&
+        BigInt("0x" + hash) < getTarget(difficulty, blockNumber)
+    );
+}
+
+function getWork(difficulty, blockNumber) {
+    // The expected amount of hashes needed to get below the target.
+    return 2n ** 256n / getTarget(difficulty, blockNumber);
+}
+
+function getNextDifficulty(difficulty, timeSpan, blockCount) {
+    // Retarget so that the average block time over the window matches BLOCK_TIME, clamped to a bounded step.
+    const current = BigInt(difficulty);
+    const expected = BigInt(BLOCK_TIME) * BigInt(blockCount);
+    const actual = BigInt(Math.max(timeSpan, 1));
+
+    let next = current * expected / actual;
+
+    const maxStep = current / MAX_ADJUSTMENT > 1n ? current / MAX_ADJUSTMENT : 1n;
+
+    if (next > current + maxStep) next = current + maxStep;
+    if (next < current - maxStep) next = current - maxStep;
+    if (next < 1n) next = 1n;
+
+    return Number(next);
+}
+
+function getLegacyNextDifficulty(difficulty, timeSpan) {
+    // Difficulty of blocks below FORK_HEIGHT, retargeted so that the last LEGACY_DIFFICULTY_WINDOW blocks would have
+    // taken BLOCK_TIME each, without a bound.
+    return Math.ceil(difficulty * LEGACY_DIFFICULTY_WINDOW * BLOCK_TIME / timeSpan);
+}
+
+module.exports = {
+    DIFFICULTY_WINDOW, LEGACY_DIFFICULTY_WINDOW,
+    getTarget, meetsTarget, getWork, getNextDifficulty, getLegacyNextDifficulty
+};
@@ -0,0 +1,52 @@
+"use strict";
+
+// Account states look like { balance, body, nonce, storage }, "nonce" being the amount of transactions the account has sent.
+// Contract accounts also hold their assembled body in "program" (see assembler.js).
+// Accounts created before nonces were added hold the timestamps of every transaction they have sent in "timestamps"
+// instead. They keep working that way until they send their first transaction with a nonce, which migrates them:
+// their nonce starts at the amount of timestamps and the timestamps are dropped.
+// Multisig accounts also hold { signers, threshold } in "multisig": they are not controlled by a key, their transactions
+// need signatures from at least "threshold" of the "signers" addresses. They are created by a transaction whose
+// recipient is getMultisigAddress(sender, nonce), so nobody can hold a key to them.
+
+const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
+
+const MAX_SIGNERS = 16; // Max amount of signers of a multisig account
+
+function createAccount(balance = "0") {
+    return {
+        balance,
+        body: "",
+        nonce: 0,
+        storage: {}
+    };
+}
+
+function isLegacyAccount(account) {
+    return Array.isArray(account.timestamps);
+}
+
+function getNonce(account) {
+    return isLegacyAccount(account) ? account.timestamps.length : account.nonce;
+}
+
+function isMultisigAccount(account) {
+    return typeof account.multisig === "object" && account.multisig !== null;
+}
+
+function getMultisigAddress(creatorAddress, nonce) {
+    return SHA256(JSON.stringify([ "multisig", creatorAddress, nonce ]));
+}
+
+function isValidMultisigConfig(config) {
+    return (
+        typeof config === "object" && config !== null &&
+        Array.isArray(config.signers) &&
+        config.signers.length > 0 && config.signers.length <= MAX_SIGNERS &&
+        config.signers.every(signer => typeof signer === "string" && /^[0-9a-f]{64}$/.test(signer)) &&
+        new Set(config.signers).size === config.signers.length &&
+        Number.isInteger(config.threshold) && config.threshold >= 1 && config.threshold <= config.signers.length
+    );
+}
+
+module.exports = { createAccount, isLegacyAccount, getNonce, isMultisigAccount, getMultisigAddress, isValidMultisigConfig };
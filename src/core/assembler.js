@@ -0,0 +1,111 @@
+"use strict";
+
+// The assembler turns a contract's source (see CONTRACT.md) into a program that the runtime can run:
+// {
+//     instructions, // [{ command, args, line }], "line" is where the instruction is in the source (from 1)
+//     labels        // { <label name>: <index of the "label" instruction> }
+// }
+// Programs are checked once here instead of on every run: unknown instructions, wrong amounts of arguments and jumps to
+// labels that do not exist make the source invalid. Contracts with an invalid source can not be deployed.
+// A contract is assembled when it is deployed and its program is kept in its account (see state.js), so that it is not
+// assembled again every time it runs.
+
+// Amount of arguments of every instruction, as [ min, max ].
+const ARGUMENTS = {
+    // Memory
+    set: [ 2, 2 ], add: [ 2, 2 ], sub: [ 2, 2 ], mul: [ 2, 2 ], div: [ 2, 2 ], mod: [ 2, 2 ],
+    and: [ 2, 2 ], or: [ 2, 2 ], xor: [ 2, 2 ], ls: [ 2, 2 ], rs: [ 2, 2 ], not: [ 1, 1 ],
+    gtr: [ 2, 2 ], lss: [ 2, 2 ], geq: [ 2, 2 ], leq: [ 2, 2 ], equ: [ 2, 2 ], neq: [ 2, 2 ],
+
+    // Flow control
+    jump: [ 2, 2 ], label: [ 1, 1 ], stop: [ 0, 0 ], return: [ 1, 1 ], revert: [ 0, 1 ],
+
+    // Storage
+    store: [ 2, 2 ], pull: [ 2, 2 ],
+
+    // Block, transaction and contract info
+    timestamp: [ 1, 1 ], blocknumber: [ 1, 1 ], blockhash: [ 1, 1 ], difficulty: [ 1, 1 ],
+    txvalue: [ 1, 1 ], txsender: [ 1, 1 ], caller: [ 1, 1 ], txgas: [ 1, 1 ], txexecgas: [ 1, 1 ],
+    address: [ 1, 1 ], selfbalance: [ 1, 1 ],
+
+    // Interactions with others
+    balance: [ 2, 2 ], send: [ 2, 2 ], call: [ 4, Infinity ],
+
+    // Others
+    sha256: [ 2, 2 ], log: [ 1, 1 ], emit: [ 1, 5 ], gas: [ 1, 1 ]
+};
+
+function isLiteral(token) {
+    // Tokens starting with "$" (variables) and "%" (arguments) are only known when the contract runs.
+    return !token.startsWith("$") && !token.startsWith("%");
+}
+
+function assemble(source) {
+    // Throws an error that tells what is wrong and where when the source is invalid.
+    const instructions = [], labels = {};
+
+    for (const [ index, rawLine ] of source.replace(/\t/g, "").split("\n").entries()) {
+        const line = rawLine.trim();
+
+        if (line === "") continue;
+
+        const command = line.split(" ")[0];
+        const args = line.slice(command.length + 1).replace(/\s/g, "").split(",").filter(tok => tok !== "");
+
+        if (!Object.hasOwn(ARGUMENTS, command)) {
+            throw new Error(`Line ${index + 1}: Invalid instruction "${command}".`);
+        }
+
+        const [ min, max ] = ARGUMENTS[command];
+
+        if (args.length < min || args.length > max) {
+            throw new Error(`Line ${index + 1}: "${command}" takes ${min === max ? min : max === Infinity ? `at least ${min}` : `${min} to ${max}`} arguments, got ${args.length}.`);
+        }
+
+        if (command === "label") {
+            if (Object.hasOwn(labels, args[0])) throw new Error(`Line ${index + 1}: Duplicate label "${args[0]}".`);
+
+            labels[args[0]] = instructions.length;
+        }
+
+        instructions.push({ command, args, line: index + 1 });
+    }
+
+    // Jumps to labels named in the source must land somewhere, labels in variables are checked when the contract runs.
+    for (const { command, args, line } of instructions) {
+        if (command === "jump" && isLiteral(args[1]) && !Object.hasOwn(labels, args[1])) {
+            throw new Error(`Line ${line}: Label "${args[1]}" does not exist.`);
+        }
+    }
+
+    return { instructions, labels };
+}
+
+function getProgramError(source) {
+    // Why a contract's source is invalid, null if it is valid.
+    try {
+        assemble(source);
+
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+function setProgram(account) {
+    // Assemble the body of a contract account into its "program". Contracts deployed before the assembler existed can
+    // be invalid, they get no program.
+    delete account.program;
+
+    if (account.body !== "" && getProgramError(account.body) === null) account.program = assemble(account.body);
+
+    return account;
+}
+
+function getProgram(account) {
+    // Program of a contract account. Contracts deployed before programs were kept have none, so they are assembled here,
+    // which throws if they are invalid.
+    return typeof account.program === "object" ? account.program : assemble(account.body);
+}
+
+module.exports = { assemble, getProgramError, setProgram, getProgram };
@@ -1,17 +1,13 @@
 "use strict";
 
-const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
-const EC = require("elliptic").ec, ec = new EC("secp256k1");
 const Transaction = require("./transaction");
+const { isLegacyAccount, getNonce } = require("./account");
 const generateMerkleRoot = require("./merkle");
+const { hashHeader } = require("./encoding");
 const { BLOCK_REWARD, BLOCK_GAS_LIMIT } = require("../config.json");
 
-const MINT_PRIVATE_ADDRESS = "0000000000000000000000000000000000000000000000000000000000000001";
-const MINT_KEY_PAIR = ec.keyFromPrivate(MINT_PRIVATE_ADDRESS, "hex");
-const MINT_PUBLIC_ADDRESS = MINT_KEY_PAIR.getPublic("hex");
-
 class Block {
-    constructor(blockNumber = 1, timestamp = Date.now(), transactions = [], difficulty = 1, parentHash = "") {
+    constructor(blockNumber = 1, timestamp = Date.now(), transactions = [], difficulty = 1, parentHash = "", stateRoot = "") {
         this.transactions = transactions;                     // Transaction list
 
         // Block header
@@ -20,44 +16,66 @@ class Block {
         this.difficulty   = difficulty;                       // Difficulty to mine block
         this.parentHash   = parentHash;                       // Parent (previous) block's hash
         this.nonce        = 0;                                // Nonce
-        this.txRoot       = generateMerkleRoot(transactions); // Merkle root of transactions
+        this.txRoot       = generateMerkleRoot(transactions, blockNumber); // Merkle root of transactions
+        this.stateRoot    = stateRoot;                        // Root of account states after the block is executed
         this.hash         = Block.getHash(this)               // Hash of the block
     }
 
     static getHash(block) {
-        // Convert every piece of data to string, merge and then hash
-        return SHA256(
-            block.blockNumber.toString()       + 
-            block.timestamp.toString()         + 
-            block.txRoot                       + 
-            block.difficulty.toString()        +
-            block.parentHash                   +
-            block.nonce.toString()
-        );
+        // Hash the canonical encoding of the header, or its old format below FORK_HEIGHT (see encoding.js)
+        return hashHeader(block);
+    }
+
+    static getHeader(block) {
+        // Get the block without its transactions
+        return {
+            blockNumber: block.blockNumber,
+            timestamp:   block.timestamp,
+            difficulty:  block.difficulty,
+            parentHash:  block.parentHash,
+            nonce:       block.nonce,
+            txRoot:      block.txRoot,
+            stateRoot:   block.stateRoot,
+            hash:        block.hash,
+            signature:   block.signature // Only used by some consensus engines
+        };
     }
 
     static hasValidPropTypes(block) {
         return (
-            Array.isArray(block.transactions)     &&
-            typeof block.blockNumber === "number" &&
-            typeof block.timestamp   === "number" &&
-            typeof block.difficulty  === "number" &&
-            typeof block.parentHash  === "string" &&
-            typeof block.nonce       === "number" &&
-            typeof block.txRoot      === "string" &&
-            typeof block.hash        === "string"
+            Array.isArray(block.transactions) &&
+            Block.hasValidHeaderPropTypes(block)
+        )
+    }
+
+    static hasValidHeaderPropTypes(block) {
+        // Numbers must be unsigned integers and hashes hex strings, so that the header can be encoded.
+        const isUint = value => Number.isSafeInteger(value) && value >= 0;
+        const isHex = value => typeof value === "string" && /^([0-9a-f]{2})*$/.test(value);
+
+        return (
+            isUint(block.blockNumber) &&
+            isUint(block.timestamp)   &&
+            isUint(block.difficulty)  &&
+            isHex(block.parentHash)   &&
+            isUint(block.nonce)       &&
+            isHex(block.txRoot)       &&
+            isHex(block.stateRoot)    &&
+            typeof block.hash === "string"
         )
     } 
 
     static async hasValidTransactions(block, stateDB) {
         // The transactions are valid under these criterias:
         // - The subtraction of "reward" and "gas" should be the fixed reward, so that they can't get lower/higher reward.
+        //   Contract gas is not part of it, the miner gets the contract gas that was used when the block is applied.
         // - Every transactions are valid on their own (checked by Transaction.isValid).
         // - There is only one mint transaction.
         // - Senders' balance after sending should be greater than 1, which means they have enough money to create their transactions.
+        // - Nonces of each sender's transactions are in sequence.
 
         for (const transaction of block.transactions) {
-            if (!(await Transaction.isValid(transaction, stateDB))) {
+            if (!(await Transaction.isValid(transaction, stateDB, block.blockNumber))) {
                 return false;
             }
         }
@@ -67,31 +85,46 @@ class Block {
         // Gases are stored into "gas".
         
         // Senders' balance are stored into "balance" with the key being their address, the value being their balance.
-        // Their balance are changed based on "amount" and "gas" props in each transactions.
+        // Their balance are changed based on "amount" and "gas" props in each transactions, and on all of their contract
+        // gas, which they must be able to pay for even though the unused part is refunded.
 
         // Get all existing addresses
-        const addressesInBlock = block.transactions.map(transaction => SHA256(Transaction.getPubKey(transaction)));
+        const addressesInBlock = block.transactions.map(transaction => Transaction.getSender(transaction));
         const existedAddresses = await stateDB.keys().all();
 
         // If senders' address doesn't exist, return false
         if (!addressesInBlock.every(address => existedAddresses.includes(address))) return false;
 
-        let gas = BigInt(0), reward, balances = {};
+        // Nonces of a sender must follow each other, starting from the sender's nonce. Legacy transactions also count
+        // towards the nonce, but can not come after a transaction with a nonce, as it migrates the account.
+        let gas = BigInt(0), reward, balances = {}, nonces = {}, migrated = {};
 
         for (const transaction of block.transactions) {
-            const txSenderPubkey = Transaction.getPubKey(transaction);
-            const txSenderAddress = SHA256(txSenderPubkey);
+            const txSenderAddress = Transaction.getSender(transaction);
             
-            if (txSenderPubkey !== MINT_PUBLIC_ADDRESS) {
-                if (!balances[txSenderAddress]) {
+            if (!Transaction.isMint(transaction)) {
+                if (typeof balances[txSenderAddress] === "undefined") {
                     const dataFromSender = await stateDB.get(txSenderAddress);
                     const senderBalance = dataFromSender.balance;
 
                     balances[txSenderAddress] = BigInt(senderBalance) - BigInt(transaction.amount) - BigInt(transaction.gas) - BigInt(transaction.additionalData.contractGas || 0);
+                    nonces[txSenderAddress] = getNonce(dataFromSender);
+                    migrated[txSenderAddress] = !isLegacyAccount(dataFromSender);
                 } else {
                     balances[txSenderAddress] -= BigInt(transaction.amount) + BigInt(transaction.gas) + BigInt(transaction.additionalData.contractGas || 0);
                 }
-                gas += BigInt(transaction.gas) + BigInt(transaction.additionalData.contractGas || 0);
+
+                if (Transaction.isLegacy(transaction)) {
+                    if (migrated[txSenderAddress]) return false;
+                } else {
+                    if (transaction.nonce !== nonces[txSenderAddress]) return false;
+
+                    migrated[txSenderAddress] = true;
+                }
+
+                nonces[txSenderAddress]++;
+
+                gas += BigInt(transaction.gas);
             } else {
                 reward = BigInt(transaction.amount);
             }
@@ -99,7 +132,7 @@ class Block {
 
         return (
             reward - gas === BigInt(BLOCK_REWARD) &&
-            block.transactions.filter(transaction => Transaction.getPubKey(transaction) === MINT_PUBLIC_ADDRESS).length === 1 &&
+            block.transactions.filter(transaction => Transaction.isMint(transaction)).length === 1 &&
             Object.values(balances).every(balance => balance >= 0)
         );
     }
@@ -0,0 +1,80 @@
+"use strict";
+
+// A state buffer wraps stateDB while a contract runs, the contract's writes are kept in memory and only reach stateDB
+// when it is done without failing (see runtime.js). Buffers can wrap each other, so that a contract called by another
+// contract gets its own, which is committed into its caller's. Blocks can also be run in a buffer that is never
+// committed, to get the state root they produce (see stateRoot.js).
+
+class StateBuffer {
+    constructor(stateDB) {
+        this.stateDB = stateDB;
+        this.writes  = new Map(); // Account states written by the contract, by address, null for deleted accounts
+    }
+
+    keys(options) {
+        // Only "all" is supported, which is what contracts use to check if an account exists.
+        return {
+            all: async () => [ ...new Set([ ...(await this.stateDB.keys(options).all()), ...this.writes.keys() ]) ]
+                .filter(key => this.writes.get(key) !== null)
+        };
+    }
+
+    async get(key) {
+        // States are copied in and out, so that changing a state we returned does not change the buffer.
+        if (this.writes.get(key) === null) throw new Error(`Account "${key}" does not exist.`);
+
+        if (this.writes.has(key)) return JSON.parse(JSON.stringify(this.writes.get(key)));
+
+        return await this.stateDB.get(key);
+    }
+
+    async getMany(keys) {
+        // Missing and deleted accounts are undefined, like in Level.
+        return await Promise.all(keys.map(async key => {
+            if (!this.writes.has(key)) return (await this.stateDB.getMany([ key ]))[0];
+
+            return this.writes.get(key) === null ? undefined : JSON.parse(JSON.stringify(this.writes.get(key)));
+        }));
+    }
+
+    iterator() {
+        // Only "all" is supported, entries are sorted by key the same way Level sorts them.
+        return {
+            all: async () => {
+                const entries = new Map(await this.stateDB.iterator().all());
+
+                for (const [ key, value ] of this.writes) {
+                    if (value === null) {
+                        entries.delete(key);
+                    } else {
+                        entries.set(key, JSON.parse(JSON.stringify(value)));
+                    }
+                }
+
+                return [ ...entries.entries() ].sort(([ a ], [ b ]) => Buffer.compare(Buffer.from(a), Buffer.from(b)));
+            }
+        };
+    }
+
+    async put(key, value) {
+        this.writes.set(key, JSON.parse(JSON.stringify(value)));
+    }
+
+    async del(key) {
+        this.writes.set(key, null);
+    }
+
+    async commit() {
+        for (const [ key, value ] of this.writes) {
+            if (value === null) {
+                await this.stateDB.del(key);
+            } else {
+                await this.stateDB.put(key, value);
+            }
+        }
+
+        this.writes.clear();
+    }
+}
+
+module.exports = { StateBuffer };
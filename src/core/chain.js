@@ -0,0 +1,338 @@
+"use strict";
+
+const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
+
+const Transaction = require("./transaction");
+const changeState = require("./state");
+const { revertState } = require("./journal");
+const { putReceipts, deleteReceipts } = require("./receipt");
+const { indexBlock, unindexBlock } = require("./indexer");
+const { getSnapshotState } = require("./snapshot");
+const { verifyBlock, verifyBlockHeader, updateDifficulty, getBlockWork } = require("../consensus/consensus");
+
+// "stores" holds the databases of the node:
+// - stateDB:   Account states.
+// - blockDB:   The canonical chain, keyed by block number.
+// - forkDB:    Every block we know of (canonical or not) with its cumulative work, keyed by block hash.
+// - journalDB: State diffs of canonical blocks used to undo them, keyed by block hash, and the state a snapshot was
+//              imported with (see snapshot.js).
+// - receiptDB: Receipts of transactions in canonical blocks, keyed by transaction hash.
+// - indexDB:   Where transactions of canonical blocks are, by transaction hash and by address (see indexer.js).
+
+// Blocks come from peers, from the sync, from our miner and from external miners at the same time, so every change to
+// the chain goes through one queue and runs after the previous one is done. Exported functions that change the chain
+// are queued, functions below them call each other directly, as they already run in the queue.
+let pending = Promise.resolve();
+
+function queue(task) {
+    const result = pending.then(task);
+
+    pending = result.catch(() => {});
+
+    return result;
+}
+
+async function getForkEntry(hash, forkDB) {
+    const [ entry ] = await forkDB.getMany([ hash ]);
+
+    return entry || null;
+}
+
+async function isCanonical(block, blockDB) {
+    const [ canonicalBlock ] = await blockDB.getMany([ block.blockNumber.toString() ]);
+
+    return typeof canonicalBlock !== "undefined" && canonicalBlock.hash === block.hash;
+}
+
+async function pushBlock(newBlock, chainInfo, stores, enableLogging = false) {
+    // Push a block that is already verified on top of our chain and transist state.
+
+    const { stateDB, blockDB, forkDB, journalDB, receiptDB, indexDB } = stores;
+
+    const parentEntry = await getForkEntry(newBlock.parentHash, forkDB);
+    const totalWork = (parentEntry ? BigInt(parentEntry.totalWork) : 0n) + getBlockWork(newBlock);
+
+    await updateDifficulty(newBlock, chainInfo, blockDB); // Update difficulty
+
+    await blockDB.put(newBlock.blockNumber.toString(), newBlock); // Add block to chain
+
+    await forkDB.put(newBlock.hash, { block: newBlock, totalWork: totalWork.toString() }); // Remember the block and its work
+
+    chainInfo.latestBlock = newBlock; // Update chain info
+    chainInfo.totalWork = totalWork;
+
+    const { journal, receipts } = await changeState(newBlock, stateDB, enableLogging); // Transist state
+
+    await journalDB.put(newBlock.hash, journal); // Remember how to undo the block
+
+    await putReceipts(receipts, receiptDB);
+
+    await indexBlock(newBlock, receipts, indexDB);
+}
+
+async function popBlock(chainInfo, stores) {
+    // Undo the latest block of our chain, returns the reverted block or null if it can not be reverted.
+
+    const { stateDB, blockDB, forkDB, journalDB, receiptDB, indexDB } = stores;
+
+    const block = chainInfo.latestBlock;
+
+    if (block.blockNumber <= 1) return null; // The genesis block can not be reverted
+
+    const [ journal ] = await journalDB.getMany([ block.hash ]);
+    const parentEntry = await getForkEntry(block.parentHash, forkDB);
+
+    if (!journal || !parentEntry) return null;
+
+    await revertState(journal, stateDB);
+
+    await journalDB.del(block.hash);
+    await deleteReceipts(block, receiptDB);
+    await unindexBlock(block, indexDB);
+    await blockDB.del(block.blockNumber.toString());
+
+    chainInfo.latestBlock = parentEntry.block;
+    chainInfo.totalWork = BigInt(parentEntry.totalWork);
+    chainInfo.difficulty = parentEntry.block.difficulty;
+
+    await updateDifficulty(parentEntry.block, chainInfo, blockDB);
+
+    return block;
+}
+
+async function insertBlock(newBlock, chainInfo, stores, enableLogging = false) {
+    // Add a block received from the network or from our miner.
+    // Returns true if our canonical chain has changed, false otherwise.
+
+    // The block is handled based on where it is attached:
+    // - On top of our latest block: Verify it fully and push it to the chain.
+    // - On top of another known block: Verify its header and store it as a side branch. If that branch now has
+    //   more cumulative work than our chain, we will switch to it.
+    // - Anywhere else: We can not do anything with it, so it is discarded.
+
+    const { blockDB, forkDB } = stores;
+
+    if (await getForkEntry(newBlock.hash, forkDB)) return false; // Already known
+
+    if (newBlock.parentHash === chainInfo.latestBlock.hash) {
+        if (!(await verifyBlock(newBlock, chainInfo, stores.stateDB))) return false;
+
+        await pushBlock(newBlock, chainInfo, stores, enableLogging);
+
+        return true;
+    }
+
+    const parentEntry = await getForkEntry(newBlock.parentHash, forkDB);
+
+    if (!parentEntry || !verifyBlockHeader(newBlock, parentEntry.block)) return false;
+
+    const totalWork = BigInt(parentEntry.totalWork) + getBlockWork(newBlock);
+
+    await forkDB.put(newBlock.hash, { block: newBlock, totalWork: totalWork.toString() });
+
+    // Ties are settled by keeping the branch that we have seen first.
+    if (totalWork <= chainInfo.totalWork) {
+        console.log(`LOG :: Stored block #${newBlock.blockNumber} from a side branch.`);
+
+        return false;
+    }
+
+    return await reorganize(newBlock, chainInfo, stores, enableLogging);
+}
+
+async function reorganize(newTip, chainInfo, stores, enableLogging = false) {
+    // Switch our canonical chain to the branch that ends with "newTip".
+
+    const { blockDB, forkDB } = stores;
+
+    // Walk back from the new tip until we meet our canonical chain, that block is the common ancestor.
+    const newBranch = [];
+    let ancestor = newTip;
+
+    while (!(await isCanonical(ancestor, blockDB))) {
+        newBranch.unshift(ancestor);
+
+        const parentEntry = await getForkEntry(ancestor.parentHash, forkDB);
+
+        if (!parentEntry) return false;
+
+        ancestor = parentEntry.block;
+    }
+
+    // Blocks that will be dropped from our chain.
+    const oldBranch = [];
+
+    for (let blockNumber = ancestor.blockNumber + 1; blockNumber <= chainInfo.latestBlock.blockNumber; blockNumber++) {
+        oldBranch.push(await blockDB.get(blockNumber.toString()));
+    }
+
+    console.log(`LOG :: Reorganizing chain from block #${ancestor.blockNumber}, dropping ${oldBranch.length} and adding ${newBranch.length} blocks.`);
+
+    try {
+        await rewindTo(ancestor, chainInfo, stores);
+
+        // Replay the winning branch, blocks of this branch only had their headers verified, so they must be verified fully now.
+        for (const block of newBranch) {
+            if (!(await verifyBlock(block, chainInfo, stores.stateDB))) {
+                console.log(`LOG :: Block #${block.blockNumber} of the new branch is invalid, restoring the old branch.`);
+
+                await forkDB.del(block.hash);
+
+                await restoreBranch(ancestor, oldBranch, chainInfo, stores, enableLogging);
+
+                return false;
+            }
+
+            await pushBlock(block, chainInfo, stores, enableLogging);
+        }
+    } catch (err) {
+        // The old branch was valid, so whatever went wrong on the way to the new one, we go back to it.
+        console.log("LOG :: Failed to switch to the new branch, restoring the old branch.", err);
+
+        await restoreBranch(ancestor, oldBranch, chainInfo, stores, enableLogging);
+
+        return false;
+    }
+
+    // Put transactions from dropped blocks back into the pool, those that are invalid on the new branch are not added.
+    const includedTxs = newBranch.flatMap(block => block.transactions.map(tx => Transaction.getHash(tx)));
+
+    for (const oldBlock of oldBranch) {
+        for (const tx of oldBlock.transactions) {
+            if (
+                !Transaction.isMint(tx) &&
+                !includedTxs.includes(Transaction.getHash(tx))
+            ) {
+                await chainInfo.mempool.add(tx);
+            }
+        }
+    }
+
+    return true;
+}
+
+async function restoreBranch(ancestor, oldBranch, chainInfo, stores, enableLogging = false) {
+    // Go back to the branch we were on before a reorganization.
+
+    await rewindTo(ancestor, chainInfo, stores);
+
+    for (const oldBlock of oldBranch) {
+        await pushBlock(oldBlock, chainInfo, stores, enableLogging);
+    }
+}
+
+async function rewindTo(ancestor, chainInfo, stores) {
+    // Bring the chain state back to right after "ancestor" was applied by reverting blocks one by one.
+
+    while (chainInfo.latestBlock.blockNumber > ancestor.blockNumber) {
+        if (!(await popBlock(chainInfo, stores))) {
+            // Blocks applied before journals were recorded can not be reverted, so we rebuild the state instead.
+            await rebuildState(ancestor, chainInfo, stores);
+
+            break;
+        }
+    }
+}
+
+async function rebuildState(ancestor, chainInfo, stores) {
+    // Bring the chain state back to right after "ancestor" was applied by rebuilding it from the genesis block, or from
+    // the imported state on nodes started from a snapshot.
+
+    const { stateDB, blockDB, forkDB, journalDB, receiptDB, indexDB } = stores;
+
+    const snapshotState = await getSnapshotState(journalDB);
+    const { blockNumber: baseNumber, accounts } = snapshotState || { blockNumber: 0, accounts: [] };
+
+    // Nothing is changed unless every block that has to be replayed is here.
+    const blockNumbers = [];
+
+    for (let blockNumber = baseNumber + 1; blockNumber <= ancestor.blockNumber; blockNumber++) {
+        blockNumbers.push(blockNumber.toString());
+    }
+
+    if (ancestor.blockNumber < baseNumber || (await blockDB.getMany(blockNumbers)).includes(undefined)) {
+        throw new Error(`Can not rebuild state at block #${ancestor.blockNumber}, blocks before it are missing.`);
+    }
+
+    // Blocks above the ancestor are dropped, along with their journals, receipts and indexes.
+    for (let blockNumber = ancestor.blockNumber + 1; blockNumber <= chainInfo.latestBlock.blockNumber; blockNumber++) {
+        const block = await blockDB.get(blockNumber.toString());
+
+        await journalDB.del(block.hash);
+        await deleteReceipts(block, receiptDB);
+        await unindexBlock(block, indexDB);
+        await blockDB.del(blockNumber.toString());
+    }
+
+    await stateDB.clear();
+    await stateDB.batch(accounts.map(([ key, value ]) => ({ type: "put", key, value })));
+
+    for (const blockNumber of blockNumbers) {
+        const block = await blockDB.get(blockNumber);
+        const { journal, receipts } = await changeState(block, stateDB);
+
+        await journalDB.put(block.hash, journal);
+        await putReceipts(receipts, receiptDB);
+        await indexBlock(block, receipts, indexDB);
+    }
+
+    chainInfo.latestBlock = ancestor;
+    chainInfo.totalWork = BigInt((await getForkEntry(ancestor.hash, forkDB)).totalWork);
+    chainInfo.difficulty = ancestor.difficulty;
+
+    await updateDifficulty(ancestor, chainInfo, blockDB);
+}
+
+async function loadChain(chainInfo, stores) {
+    // Load the latest block of the canonical chain, and record the work of blocks stored before forkDB existed.
+
+    const { blockDB, forkDB } = stores;
+
+    const latestBlockNumber = Math.max(...(await blockDB.keys().all()).map(key => parseInt(key)));
+    const latestBlock = await blockDB.get(latestBlockNumber.toString());
+    const latestEntry = await getForkEntry(latestBlock.hash, forkDB);
+
+    if (latestEntry) {
+        chainInfo.latestBlock = latestBlock;
+        chainInfo.totalWork = BigInt(latestEntry.totalWork);
+
+        await updateDifficulty(latestBlock, chainInfo, blockDB);
+
+        return;
+    }
+
+    let totalWork = 0n;
+
+    for (let blockNumber = 1; blockNumber <= latestBlockNumber; blockNumber++) {
+        const block = await blockDB.get(blockNumber.toString());
+        const entry = await getForkEntry(block.hash, forkDB);
+
+        if (entry) {
+            totalWork = BigInt(entry.totalWork);
+        } else {
+            totalWork += getBlockWork(block);
+
+            await forkDB.put(block.hash, { block, totalWork: totalWork.toString() });
+        }
+
+        chainInfo.latestBlock = block;
+    }
+
+    chainInfo.totalWork = totalWork;
+
+    await updateDifficulty(chainInfo.latestBlock, chainInfo, blockDB);
+}
+
+function applyBlock(newBlock, chainInfo, stores, enableLogging = false) {
+    return queue(() => pushBlock(newBlock, chainInfo, stores, enableLogging));
+}
+
+function revertBlock(chainInfo, stores) {
+    return queue(() => popBlock(chainInfo, stores));
+}
+
+function addBlock(newBlock, chainInfo, stores, enableLogging = false) {
+    return queue(() => insertBlock(newBlock, chainInfo, stores, enableLogging));
+}
+
+module.exports = { getForkEntry, queue, applyBlock, revertBlock, addBlock, loadChain };
@@ -0,0 +1,493 @@
+"use strict";
+
+// Canonical binary encoding of transactions, headers and blocks, used for hashing, signing, storage and the wire protocol.
+// Everything is encoded as RLP (recursive length prefix) items, an item being either a byte string or a list of items.
+// Every value has exactly one valid encoding, so any client that follows ENCODING.md gets the same bytes and hashes.
+
+const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
+const { FORK_HEIGHT } = require("../config.json");
+
+const ENCODING_VERSION = 1; // First item of every top-level encoding
+
+const LEGACY_TX_TYPE = 0;   // Transactions without a nonce and chain ID
+const TX_TYPE        = 1;
+const MULTISIG_TX_TYPE = 2; // Transactions sent from multisig accounts
+
+// Tags of generic values
+const VALUE_TAGS = { null: 0, false: 1, true: 2, string: 3, number: 4, array: 5, object: 6 };
+
+// RLP
+
+function encodeItem(item) {
+    if (Buffer.isBuffer(item)) {
+        // A single byte below 0x80 is its own encoding.
+        if (item.length === 1 && item[0] < 0x80) return item;
+
+        return Buffer.concat([ encodeLength(item.length, 0x80), item ]);
+    }
+
+    if (Array.isArray(item)) {
+        const payload = Buffer.concat(item.map(encodeItem));
+
+        return Buffer.concat([ encodeLength(payload.length, 0xc0), payload ]);
+    }
+
+    throw new Error("Can only encode byte strings and lists.");
+}
+
+function encodeLength(length, offset) {
+    if (length <= 55) return Buffer.from([ offset + length ]);
+
+    const lengthBytes = encodeUint(length);
+
+    return Buffer.concat([ Buffer.from([ offset + 55 + lengthBytes.length ]), lengthBytes ]);
+}
+
+function decodeItem(buffer) {
+    const [ item, end ] = decodeItemAt(buffer, 0);
+
+    if (end !== buffer.length) throw new Error("Unexpected bytes after item.");
+
+    return item;
+}
+
+function decodeItemAt(buffer, offset) {
+    // Returns the item at "offset" and where it ends, non-canonical encodings are rejected.
+    if (offset >= buffer.length) throw new Error("Unexpected end of input.");
+
+    const prefix = buffer[offset];
+
+    if (prefix < 0x80) return [ buffer.subarray(offset, offset + 1), offset + 1 ];
+
+    const isList = prefix >= 0xc0;
+    const shortOffset = isList ? 0xc0 : 0x80;
+
+    let length, start;
+
+    if (prefix - shortOffset <= 55) {
+        length = prefix - shortOffset;
+        start = offset + 1;
+    } else {
+        const lengthSize = prefix - shortOffset - 55;
+
+        length = Number(decodeUint(readBytes(buffer, offset + 1, lengthSize)));
+        start = offset + 1 + lengthSize;
+
+        if (length <= 55) throw new Error("Non-canonical length.");
+    }
+
+    const end = start + length;
+
+    if (end > buffer.length) throw new Error("Unexpected end of input.");
+
+    if (!isList) {
+        if (length === 1 && buffer[start] < 0x80) throw new Error("Non-canonical single byte.");
+
+        return [ buffer.subarray(start, end), end ];
+    }
+
+    const items = [];
+
+    for (let position = start; position < end;) {
+        const [ item, itemEnd ] = decodeItemAt(buffer, position);
+
+        if (itemEnd > end) throw new Error("Item is longer than its list.");
+
+        items.push(item);
+        position = itemEnd;
+    }
+
+    return [ items, end ];
+}
+
+function readBytes(buffer, offset, length) {
+    if (offset + length > buffer.length) throw new Error("Unexpected end of input.");
+
+    return buffer.subarray(offset, offset + length);
+}
+
+// Scalars
+
+function encodeUint(value) {
+    // Unsigned integers are big-endian with no leading zeros, 0 is the empty byte string.
+    const number = BigInt(value);
+
+    if (number < 0n || (typeof value === "number" && !Number.isSafeInteger(value))) throw new Error(`Invalid unsigned integer ${value}.`);
+
+    if (number === 0n) return Buffer.alloc(0);
+
+    const hex = number.toString(16);
+
+    return Buffer.from(hex.length % 2 === 0 ? hex : "0" + hex, "hex");
+}
+
+function decodeUint(bytes) {
+    if (!Buffer.isBuffer(bytes)) throw new Error("Expected a byte string.");
+
+    if (bytes.length !== 0 && bytes[0] === 0) throw new Error("Non-canonical integer.");
+
+    return bytes.length === 0 ? 0n : BigInt("0x" + bytes.toString("hex"));
+}
+
+function decodeNumber(bytes) {
+    const number = decodeUint(bytes);
+
+    if (number > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error("Integer is too large.");
+
+    return Number(number);
+}
+
+function encodeUint64(value) {
+    // Fixed size integer, used for the block nonce so that miners can change it in place.
+    const bytes = Buffer.alloc(8);
+
+    if (!Number.isSafeInteger(value) || value < 0) throw new Error(`Invalid nonce ${value}.`);
+
+    bytes.writeBigUInt64BE(BigInt(value));
+
+    return bytes;
+}
+
+function decodeUint64(bytes) {
+    if (!Buffer.isBuffer(bytes) || bytes.length !== 8) throw new Error("Expected 8 bytes.");
+
+    const number = bytes.readBigUInt64BE();
+
+    if (number > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error("Integer is too large.");
+
+    return Number(number);
+}
+
+function encodeHex(hex) {
+    // Hashes are lowercase hex strings, "" is the empty byte string.
+    if (typeof hex !== "string" || !/^([0-9a-f]{2})*$/.test(hex)) throw new Error(`Invalid hex string "${hex}".`);
+
+    return Buffer.from(hex, "hex");
+}
+
+function decodeHex(bytes) {
+    if (!Buffer.isBuffer(bytes)) throw new Error("Expected a byte string.");
+
+    return bytes.toString("hex");
+}
+
+function encodeString(string) {
+    if (typeof string !== "string") throw new Error("Expected a string.");
+
+    return Buffer.from(string, "utf8");
+}
+
+function decodeString(bytes) {
+    if (!Buffer.isBuffer(bytes)) throw new Error("Expected a byte string.");
+
+    const string = bytes.toString("utf8");
+
+    if (!Buffer.from(string, "utf8").equals(bytes)) throw new Error("Invalid UTF-8 string.");
+
+    return string;
+}
+
+// Generic values, used for additional data of transactions and for other messages.
+// Each value is [ tag, content ], object keys are sorted by their UTF-8 bytes.
+
+function valueToItem(value) {
+    if (value === null) return [ encodeUint(VALUE_TAGS.null) ];
+
+    switch (typeof value) {
+        case "boolean":
+            return [ encodeUint(value ? VALUE_TAGS.true : VALUE_TAGS.false) ];
+
+        case "string":
+            return [ encodeUint(VALUE_TAGS.string), encodeString(value) ];
+
+        case "number":
+            // Only unsigned integers, anything else should be sent as a string.
+            return [ encodeUint(VALUE_TAGS.number), encodeUint(value) ];
+
+        case "object":
+            if (Array.isArray(value)) return [ encodeUint(VALUE_TAGS.array), value.map(valueToItem) ];
+
+            const entries = Object.keys(value)
+                .filter(key => typeof value[key] !== "undefined")
+                .map(key => [ encodeString(key), valueToItem(value[key]) ])
+                .sort(([ keyA ], [ keyB ]) => Buffer.compare(keyA, keyB));
+
+            return [ encodeUint(VALUE_TAGS.object), entries ];
+
+        default:
+            throw new Error(`Can not encode value of type ${typeof value}.`);
+    }
+}
+
+function itemToValue(item) {
+    const [ tagBytes, content ] = expectList(item, [ 1, 2 ]);
+    const tag = decodeNumber(tagBytes);
+
+    switch (tag) {
+        case VALUE_TAGS.null:
+        case VALUE_TAGS.false:
+        case VALUE_TAGS.true:
+            if (item.length !== 1) throw new Error("Unexpected value content.");
+
+            return tag === VALUE_TAGS.null ? null : tag === VALUE_TAGS.true;
+
+        case VALUE_TAGS.string:
+            return decodeString(content);
+
+        case VALUE_TAGS.number:
+            return decodeNumber(content);
+
+        case VALUE_TAGS.array:
+            return expectList(content).map(itemToValue);
+
+        case VALUE_TAGS.object:
+            const object = {};
+
+            expectList(content).forEach((entry, index, entries) => {
+                const [ key, value ] = expectList(entry, [ 2 ]);
+
+                if (index !== 0 && Buffer.compare(entries[index - 1][0], key) >= 0) throw new Error("Object keys are not sorted.");
+
+                object[decodeString(key)] = itemToValue(value);
+            });
+
+            return object;
+
+        default:
+            throw new Error(`Unknown value tag ${tag}.`);
+    }
+}
+
+function expectList(item, lengths) {
+    if (!Array.isArray(item) || (lengths && !lengths.includes(item.length))) throw new Error("Unexpected item.");
+
+    return item;
+}
+
+// Signatures ({ v, r, s } as hex strings, used by transactions and by some consensus engines on blocks)
+
+function signatureToItem(signature) {
+    if (!signature || typeof signature.v === "undefined") return [];
+
+    return [ encodeUint(BigInt("0x" + signature.v)), encodeUint(BigInt("0x" + signature.r)), encodeUint(BigInt("0x" + signature.s)) ];
+}
+
+function itemToSignature(item) {
+    if (expectList(item, [ 0, 3 ]).length === 0) return null;
+
+    const [ v, r, s ] = item.map(bytes => decodeUint(bytes).toString(16));
+
+    return { v, r, s };
+}
+
+// Transactions
+// Legacy:   [ 0, recipient, amount, gas, additionalData, timestamp, signature ]
+// Others:   [ 1, recipient, amount, gas, additionalData, nonce, chainId, timestamp, signature ]
+// Multisig: [ 2, sender, recipient, amount, gas, additionalData, nonce, chainId, timestamp, [ signature, ... ] ]
+// Signatures are left out of the payload that gets signed.
+
+function transactionToItem(tx, includeSignature = true) {
+    const isLegacy = typeof tx.nonce === "undefined";
+    const isMultisig = typeof tx.sender !== "undefined";
+
+    const item = [
+        encodeUint(isMultisig ? MULTISIG_TX_TYPE : isLegacy ? LEGACY_TX_TYPE : TX_TYPE),
+        ...(isMultisig ? [ encodeHex(tx.sender) ] : []),
+        encodeString(tx.recipient),
+        encodeUint(tx.amount),
+        encodeUint(tx.gas),
+        valueToItem(tx.additionalData),
+        ...(isLegacy ? [] : [ encodeUint(tx.nonce), encodeUint(tx.chainId) ]),
+        encodeUint(tx.timestamp)
+    ];
+
+    if (includeSignature) {
+        item.push(isMultisig ? tx.signatures.map(signatureToItem) : signatureToItem(tx.signature));
+    }
+
+    return item;
+}
+
+function itemToTransaction(item) {
+    const type = decodeNumber(expectList(item)[0]);
+
+    if (type !== LEGACY_TX_TYPE && type !== TX_TYPE && type !== MULTISIG_TX_TYPE) {
+        throw new Error(`Unknown transaction type ${type}.`);
+    }
+
+    const isLegacy = type === LEGACY_TX_TYPE;
+    const isMultisig = type === MULTISIG_TX_TYPE;
+    const fields = expectList(item, [ isLegacy ? 7 : isMultisig ? 10 : 9 ]).slice(isMultisig ? 1 : 0);
+
+    const tx = {
+        recipient:      decodeString(fields[1]),
+        amount:         decodeUint(fields[2]).toString(),
+        gas:            decodeUint(fields[3]).toString(),
+        additionalData: itemToValue(fields[4])
+    };
+
+    if (!isLegacy) {
+        tx.nonce   = decodeNumber(fields[5]);
+        tx.chainId = decodeNumber(fields[6]);
+    }
+
+    tx.timestamp = decodeNumber(fields[fields.length - 2]);
+
+    if (isMultisig) {
+        tx.sender     = decodeHex(item[1]);
+        tx.signatures = expectList(fields[fields.length - 1]).map(signature => itemToSignature(expectList(signature, [ 3 ])));
+    } else {
+        tx.signature = itemToSignature(fields[fields.length - 1]) || {};
+    }
+
+    return tx;
+}
+
+// Headers
+// [ blockNumber, timestamp, txRoot, difficulty, parentHash, stateRoot, nonce ], the nonce is always 8 bytes.
+// The block hash is the SHA256 of the header payload: [ ENCODING_VERSION, header ], so the nonce is its last 8 bytes.
+// Blocks below FORK_HEIGHT were mined before this encoding existed and keep their old hash (see hashHeader).
+// Seals that sign the hash (like signatures of the authority engine) are kept next to the header, not in it.
+
+function headerFieldsToItem(header) {
+    return [
+        encodeUint(header.blockNumber),
+        encodeUint(header.timestamp),
+        encodeHex(header.txRoot),
+        encodeUint(header.difficulty),
+        encodeHex(header.parentHash),
+        encodeHex(header.stateRoot),
+        encodeUint64(header.nonce)
+    ];
+}
+
+function itemToHeaderFields(item) {
+    const fields = expectList(item, [ 7 ]);
+
+    return {
+        blockNumber: decodeNumber(fields[0]),
+        timestamp:   decodeNumber(fields[1]),
+        difficulty:  decodeNumber(fields[3]),
+        parentHash:  decodeHex(fields[4]),
+        nonce:       decodeUint64(fields[6]),
+        txRoot:      decodeHex(fields[2]),
+        stateRoot:   decodeHex(fields[5])
+    };
+}
+
+function encodeHeaderPayload(header) {
+    return encodeItem([ encodeUint(ENCODING_VERSION), headerFieldsToItem(header) ]);
+}
+
+function hashHeader(header) {
+    // Blocks below FORK_HEIGHT are hashed the way they were mined, with their fields joined as strings. They have no
+    // state root, so it is not part of their hash.
+    if (header.blockNumber < FORK_HEIGHT) {
+        return SHA256(
+            header.blockNumber.toString() +
+            header.timestamp.toString()   +
+            header.txRoot                 +
+            header.difficulty.toString()  +
+            header.parentHash             +
+            header.nonce.toString()
+        );
+    }
+
+    return SHA256(encodeHeaderPayload(header));
+}
+
+function headerToItem(header) {
+    return [ headerFieldsToItem(header), signatureToItem(header.signature) ];
+}
+
+function itemToHeader(item) {
+    const [ fields, seal ] = expectList(item, [ 2 ]);
+    const header = itemToHeaderFields(fields);
+
+    header.hash = hashHeader(header);
+
+    const signature = itemToSignature(seal);
+
+    if (signature) header.signature = signature;
+
+    return header;
+}
+
+// Blocks: [ header, seal, transactions ]
+
+function blockToItem(block) {
+    return [ ...headerToItem(block), block.transactions.map(tx => transactionToItem(tx)) ];
+}
+
+function itemToBlock(item) {
+    const [ fields, seal, transactions ] = expectList(item, [ 3 ]);
+    const header = itemToHeader([ fields, seal ]);
+
+    return { transactions: expectList(transactions).map(itemToTransaction), ...header };
+}
+
+// Top-level encodings, prefixed with the encoding version.
+
+function encodeVersioned(item) {
+    return encodeItem([ encodeUint(ENCODING_VERSION), item ]);
+}
+
+function decodeVersioned(buffer) {
+    const [ version, item ] = expectList(decodeItem(buffer), [ 2 ]);
+
+    if (decodeNumber(version) !== ENCODING_VERSION) throw new Error(`Unsupported encoding version ${decodeNumber(version)}.`);
+
+    return item;
+}
+
+const encodeTransaction         = tx => encodeVersioned(transactionToItem(tx));
+const encodeUnsignedTransaction = tx => encodeVersioned(transactionToItem(tx, false));
+const decodeTransaction         = buffer => itemToTransaction(decodeVersioned(buffer));
+const encodeHeader              = header => encodeVersioned(headerToItem(header));
+const decodeHeader              = buffer => itemToHeader(decodeVersioned(buffer));
+const encodeBlock               = block => encodeVersioned(blockToItem(block));
+const decodeBlock               = buffer => itemToBlock(decodeVersioned(buffer));
+
+// Store encodings for level
+
+function decodeStoredBlock(buffer) {
+    // Blocks stored by versions before this encoding are JSON, which starts with "{" while encodings start with a list
+    // prefix (0xc0 or above). They have no state root.
+    if (buffer[0] !== 0x7b) return decodeBlock(buffer);
+
+    const block = JSON.parse(buffer.toString("utf8"));
+
+    if (typeof block.stateRoot === "undefined") block.stateRoot = "";
+
+    return block;
+}
+
+const blockEncoding = {
+    name: "block",
+    format: "buffer",
+    encode: encodeBlock,
+    decode: decodeStoredBlock
+};
+
+const forkEntryEncoding = {
+    // Fork entries are { block, totalWork }.
+    name: "forkEntry",
+    format: "buffer",
+    encode: entry => encodeVersioned([ blockToItem(entry.block), encodeUint(entry.totalWork) ]),
+    decode: buffer => {
+        const [ block, totalWork ] = expectList(decodeVersioned(buffer), [ 2 ]);
+
+        return { block: itemToBlock(block), totalWork: decodeUint(totalWork).toString() };
+    }
+};
+
+module.exports = {
+    ENCODING_VERSION,
+    encodeItem, decodeItem, encodeUint, decodeUint, decodeNumber, encodeString, decodeString,
+    valueToItem, itemToValue,
+    transactionToItem, itemToTransaction, headerToItem, itemToHeader, blockToItem, itemToBlock,
+    encodeTransaction, encodeUnsignedTransaction, decodeTransaction,
+    encodeHeaderPayload, hashHeader, encodeHeader, decodeHeader,
+    encodeBlock, decodeBlock,
+    blockEncoding, forkEntryEncoding
+};
@@ -0,0 +1,34 @@
+"use strict";
+
+// Gas schedule of jelscript (see runtime.js). Every instruction costs BASE_COST, except those that touch the state or
+// do more work, which are priced in multiples of it. Gas is paid before an instruction runs, a contract that can not pay
+// for its next instruction runs out of gas.
+
+const BASE_COST = 10000000n; // Memory, math, flow control, block and transaction info
+
+const GAS_COSTS = {
+    stop:        0n,               // Ending a contract is free
+    pull:        BASE_COST * 20n,  // Storage read
+    store:       BASE_COST * 100n, // Storage write
+    balance:     BASE_COST * 20n,  // Balance lookup of another account
+    selfbalance: BASE_COST * 20n,
+    send:        BASE_COST * 100n, // Writes to two accounts
+    call:        BASE_COST * 100n, // Plus the gas used by the called contract
+    sha256:      BASE_COST * 5n,   // Plus SHA256_WORD_COST for every 32 bytes hashed
+    log:         BASE_COST * 5n,
+    emit:        BASE_COST * 10n   // Kept in the chain's logs
+};
+
+const SHA256_WORD_COST = BASE_COST;
+
+function getGasCost(command) {
+    // Unknown instructions cost BASE_COST too, they fail when they run.
+    return typeof GAS_COSTS[command] === "undefined" ? BASE_COST : GAS_COSTS[command];
+}
+
+function getHashCost(value) {
+    // Extra cost of hashing a value, on top of the cost of "sha256".
+    return SHA256_WORD_COST * BigInt(Math.ceil(Buffer.byteLength(value, "utf8") / 32));
+}
+
+module.exports = { BASE_COST, GAS_COSTS, getGasCost, getHashCost };
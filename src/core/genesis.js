@@ -13,8 +13,10 @@ function generateGenesisBlock() {
     const firstMint = new Transaction(
         "52472d59e3c01bc2cf9496c959d924ce5f469d4e097c395f5605f70633e44a28",
         INITIAL_SUPPLY,
-        0,
+        "0",
         {},
+        0,
+        Transaction.getChainId(),
         Date.now()
     );
 
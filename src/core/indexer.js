@@ -0,0 +1,113 @@
+"use strict";
+
+// Indexes of the canonical chain, kept in indexDB so that transactions can be found without scanning blocks:
+// - "tx!<hash>":                             { blockNumber, blockHash, index } of the transaction.
+// - "address!<address>!<blockNumber>!<index>": Hash of a transaction sent or received by the address. Addresses are
+//   hex encoded (recipients can be any string) and numbers are zero-padded, so an address's transactions are sorted by
+//   block number and position in the block.
+// - "log!<blockNumber>!<logIndex>":           A log of the block, with where it comes from (see getLogs). Logs are
+//   numbered in the order they were recorded in the block, across its transactions.
+// Blocks are indexed when they are applied and unindexed when they are reverted.
+
+const Transaction = require("./transaction");
+
+function getTransactionKey(hash) {
+    return `tx!${hash}`;
+}
+
+function getAddressPrefix(address) {
+    return `address!${Buffer.from(address, "utf8").toString("hex")}!`;
+}
+
+function getAddressKey(address, blockNumber, index) {
+    return getAddressPrefix(address) + `${blockNumber.toString().padStart(16, "0")}!${index.toString().padStart(8, "0")}`;
+}
+
+function getBlockEntries(block) {
+    // Index entries of every transaction in a block, a transaction to oneself is only listed once for that address.
+    return block.transactions.flatMap((tx, index) => {
+        const hash = Transaction.getHash(tx);
+        const addresses = new Set([ Transaction.getSender(tx), tx.recipient ]);
+
+        return [
+            { key: getTransactionKey(hash), value: { blockNumber: block.blockNumber, blockHash: block.hash, index } },
+            ...[ ...addresses ].map(address => ({ key: getAddressKey(address, block.blockNumber, index), value: hash }))
+        ];
+    });
+}
+
+function getLogPrefix(blockNumber) {
+    return `log!${blockNumber.toString().padStart(16, "0")}!`;
+}
+
+function getLogEntries(block, receipts) {
+    // Logs are taken from the block's receipts, which hold them in the order the transactions were executed.
+    return receipts
+        .flatMap(receipt => receipt.logs.map(log => ({
+            ...log,
+            blockNumber: block.blockNumber,
+            blockHash: block.hash,
+            transactionHash: receipt.transactionHash,
+            transactionIndex: receipt.transactionIndex
+        })))
+        .map((log, logIndex) => ({ key: getLogPrefix(block.blockNumber) + logIndex.toString().padStart(8, "0"), value: { ...log, logIndex } }));
+}
+
+async function indexBlock(block, receipts, indexDB) {
+    const entries = [ ...getBlockEntries(block), ...getLogEntries(block, receipts) ];
+
+    await indexDB.batch(entries.map(({ key, value }) => ({ type: "put", key, value })));
+}
+
+async function unindexBlock(block, indexDB) {
+    // The block's logs are not known without its receipts, so they are cleared by prefix.
+    await indexDB.batch(getBlockEntries(block).map(({ key }) => ({ type: "del", key })));
+    await indexDB.clear({ gt: getLogPrefix(block.blockNumber), lt: getLogPrefix(block.blockNumber) + "~" });
+}
+
+async function getTransactionLocation(hash, indexDB) {
+    const [ location ] = await indexDB.getMany([ getTransactionKey(hash) ]);
+
+    return location || null;
+}
+
+async function getAddressTransactions(address, offset, limit, indexDB) {
+    // Get hashes of an address's transactions, newest first.
+    const entries = await indexDB.iterator({
+        gt: getAddressPrefix(address),
+        lt: getAddressPrefix(address) + "~",
+        reverse: true,
+        limit: offset + limit
+    }).all();
+
+    return entries.slice(offset).map(([ key, hash ]) => hash);
+}
+
+function matchesLog(log, address, topics) {
+    // "topics" lists what each topic should be: null for anything, a topic, or a list of topics that are allowed.
+    return (
+        (address === null || log.address === address) &&
+        topics.every((topic, index) =>
+            topic === null ||
+            (Array.isArray(topic) ? topic.includes(log.topics[index]) : log.topics[index] === topic)
+        )
+    );
+}
+
+async function getLogs(fromBlock, toBlock, address, topics, limit, indexDB) {
+    // Get logs of the blocks from "fromBlock" to "toBlock" (both included) that match the filter, oldest first. At most
+    // "limit" logs are returned.
+    const logs = [];
+
+    for await (const [ , log ] of indexDB.iterator({ gt: getLogPrefix(fromBlock), lt: getLogPrefix(toBlock) + "~" })) {
+        if (!matchesLog(log, address, topics)) continue;
+
+        logs.push(log);
+
+        if (logs.length >= limit) break;
+    }
+
+    return logs;
+}
+
+module.exports = { indexBlock, unindexBlock, getTransactionLocation, getAddressTransactions, getLogs };
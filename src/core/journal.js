@@ -0,0 +1,107 @@
+"use strict";
+
+// A state journal wraps stateDB while a block is being applied, it remembers how every touched account looked before
+// the block so that the block can later be undone.
+
+const ACCOUNT_PROPS = [ "balance", "body", "program", "nonce", "timestamps", "multisig" ]; // Account props other than storage
+
+class StateJournal {
+    constructor(stateDB) {
+        this.stateDB = stateDB;
+        this.before  = new Map(); // Account states before the block, null if the account did not exist.
+    }
+
+    keys(options) {
+        return this.stateDB.keys(options);
+    }
+
+    get(key) {
+        return this.stateDB.get(key);
+    }
+
+    async put(key, value) {
+        if (!this.before.has(key)) {
+            const [ oldValue ] = await this.stateDB.getMany([ key ]);
+
+            this.before.set(key, typeof oldValue === "undefined" ? null : oldValue);
+        }
+
+        await this.stateDB.put(key, value);
+    }
+
+    async getDiff() {
+        // Produce a list of reversible changes, one for every account touched:
+        // { address, created, balance: [ old, new ], body: [ old, new ], nonce: [ old, new ], timestamps: [ old, new ], storage: { key: [ old, new ] } }
+        // Props are only present if they have changed, removed or missing props and storage keys are recorded as null.
+
+        const diff = [];
+
+        for (const [ address, oldState ] of this.before) {
+            const newState = await this.stateDB.get(address);
+            const change = { address, created: oldState === null };
+
+            if (oldState !== null) {
+                for (const prop of ACCOUNT_PROPS) {
+                    if (JSON.stringify(oldState[prop]) !== JSON.stringify(newState[prop])) {
+                        change[prop] = [
+                            typeof oldState[prop] === "undefined" ? null : oldState[prop],
+                            typeof newState[prop] === "undefined" ? null : newState[prop]
+                        ];
+                    }
+                }
+
+                const storage = {};
+
+                for (const key of new Set([ ...Object.keys(oldState.storage), ...Object.keys(newState.storage) ])) {
+                    const oldValue = typeof oldState.storage[key] === "undefined" ? null : oldState.storage[key];
+                    const newValue = typeof newState.storage[key] === "undefined" ? null : newState.storage[key];
+
+                    if (oldValue !== newValue) storage[key] = [ oldValue, newValue ];
+                }
+
+                if (Object.keys(storage).length !== 0) change.storage = storage;
+            }
+
+            diff.push(change);
+        }
+
+        return diff;
+    }
+}
+
+async function revertState(diff, stateDB) {
+    // Undo a diff produced by StateJournal.getDiff.
+
+    for (const change of diff) {
+        if (change.created) {
+            await stateDB.del(change.address);
+
+            continue;
+        }
+
+        const state = await stateDB.get(change.address);
+
+        for (const prop of ACCOUNT_PROPS) {
+            if (!change[prop]) continue;
+
+            // Legacy accounts lose their timestamps and get a nonce when migrated (see account.js).
+            if (change[prop][0] === null) {
+                delete state[prop];
+            } else {
+                state[prop] = change[prop][0];
+            }
+        }
+
+        for (const key in change.storage || {}) {
+            if (change.storage[key][0] === null) {
+                delete state.storage[key];
+            } else {
+                state.storage[key] = change.storage[key][0];
+            }
+        }
+
+        await stateDB.put(change.address, state);
+    }
+}
+
+module.exports = { StateJournal, revertState };
@@ -0,0 +1,234 @@
+"use strict";
+
+// Transaction pool, transactions wait here until they are mined. It is used by the RPC server, gossip and mining.
+// Transactions are kept in a queue per sender, in the order they came in, and the pool is bounded:
+// - Every sender can only have "maxAccountTxs" transactions in the pool, and the whole pool "maxSize".
+// - When the pool is full, the lowest paying transaction at the end of a queue is evicted for a better paying one.
+// - Transactions expire "txLifetime" milliseconds after they are added.
+// - A transaction can be replaced by one with the same replay key (sender and nonce, or sender and timestamp for legacy
+//   transactions) that pays at least REPLACE_BUMP percent more per unit of gas.
+// Transactions with a nonce above the sender's nonce are held until the transactions before them come in.
+
+const Transaction = require("./transaction");
+const { isLegacyAccount, getNonce } = require("./account");
+
+const MAX_POOL_SIZE   = 4096;               // Max amount of transactions in the pool
+const MAX_ACCOUNT_TXS = 64;                 // Max amount of transactions from one sender
+const TX_LIFETIME     = 3 * 60 * 60 * 1000; // Time before a transaction is dropped from the pool
+const REPLACE_BUMP    = 10n;                // Fee increase (in %) needed to replace a transaction
+
+class Mempool {
+    constructor(stateDB, options = {}) {
+        this.stateDB       = stateDB;
+        this.maxSize       = options.maxSize || MAX_POOL_SIZE;
+        this.maxAccountTxs = options.maxAccountTxs || MAX_ACCOUNT_TXS;
+        this.txLifetime    = options.txLifetime || TX_LIFETIME;
+        this.queues        = new Map();         // Entries of each sender in nonce order (or arrival order if legacy), keyed by address
+        this.nonces        = new Map();         // Nonce of each sender when the pool last checked their account
+        this.size          = 0;                 // Amount of transactions in the pool
+        this.lastBlockHash = null;              // Hash of the block that the pool was last checked against
+        this.pending       = Promise.resolve(); // Changes to the pool are made one at a time
+    }
+
+    getTransactions() {
+        // Get transactions that can be mined, in order for each sender, those after a nonce gap are left out.
+        const transactions = [];
+
+        for (const [ sender, queue ] of this.queues) {
+            let nonce = this.nonces.get(sender);
+
+            for (const entry of queue) {
+                if (!Transaction.isLegacy(entry.tx)) {
+                    if (entry.tx.nonce !== nonce) break;
+
+                    nonce++;
+                }
+
+                transactions.push(entry.tx);
+            }
+        }
+
+        return transactions;
+    }
+
+    add(tx) {
+        // Resolves with true if the transaction is added.
+        return this.queue(() => this.addTransaction(tx));
+    }
+
+    update(latestBlock) {
+        // Drop transactions that are mined or no longer valid after the chain has changed.
+        return this.queue(() => this.checkTransactions(latestBlock));
+    }
+
+    queue(task) {
+        const result = this.pending.then(task);
+
+        this.pending = result.catch(() => {});
+
+        return result;
+    }
+
+    async addTransaction(tx) {
+        this.removeExpired();
+
+        // To be added, transactions must be valid, and they are valid under these criterias:
+        // - They are valid based on Transaction.isValid.
+        // - They are not in the pool yet, or they replace a transaction with the same replay key and pay enough for it.
+        // - Legacy transactions and transactions with a nonce from the same sender are not mixed, as a transaction with
+        //   a nonce migrates the account and makes legacy transactions invalid.
+        // - The balance of the sender is enough to make the transaction, along with their other transactions in the pool.
+        // - The sender and the pool are not full, or the transaction pays more than the one it evicts.
+
+        if (!(await Transaction.isValid(tx, this.stateDB))) return false;
+
+        const sender = Transaction.getSender(tx);
+        let queue = this.queues.get(sender) || [];
+        const hash = Transaction.getHash(tx);
+
+        if (queue.some(entry => entry.hash === hash)) return false;
+
+        if (queue.length !== 0 && Transaction.isLegacy(queue[0].tx) !== Transaction.isLegacy(tx)) return false;
+
+        const replacedIndex = queue.findIndex(entry => Mempool.getReplayKey(entry.tx) === Mempool.getReplayKey(tx));
+
+        if (replacedIndex !== -1 && !Mempool.canReplace(queue[replacedIndex].tx, tx)) return false;
+
+        if (replacedIndex === -1 && queue.length >= this.maxAccountTxs) return false;
+
+        // Check the balance against every other transaction of the sender.
+        const [ senderState ] = await this.stateDB.getMany([ sender ]);
+
+        let balance = BigInt(senderState.balance) - Transaction.getCost(tx);
+
+        queue.forEach((entry, index) => {
+            if (index !== replacedIndex) balance -= Transaction.getCost(entry.tx);
+        });
+
+        if (balance < 0n) return false;
+
+        if (replacedIndex === -1 && this.size >= this.maxSize) {
+            const lowestEntry = this.getLowestEntry();
+
+            if (!Transaction.hasHigherGasPrice(tx, lowestEntry.tx)) return false;
+
+            this.removeEntry(lowestEntry);
+
+            // The evicted transaction can be one of the sender's own.
+            queue = this.queues.get(sender) || [];
+        }
+
+        const entry = { tx, hash, sender, addedAt: Date.now() };
+
+        if (replacedIndex !== -1) {
+            queue[replacedIndex] = entry;
+        } else {
+            queue.push(entry);
+            this.size++;
+
+            if (!Transaction.isLegacy(tx)) queue.sort((entryA, entryB) => entryA.tx.nonce - entryB.tx.nonce);
+        }
+
+        this.queues.set(sender, queue);
+        this.nonces.set(sender, getNonce(senderState));
+
+        return true;
+    }
+
+    async checkTransactions(latestBlock) {
+        this.removeExpired();
+
+        // When the block is the only one added since the last check, only senders of its transactions can have spent
+        // balance or used nonces, otherwise (e.g. after a reorg) every sender is checked again.
+        const senders = latestBlock.parentHash === this.lastBlockHash
+            ? new Set(latestBlock.transactions.map(tx => Transaction.getSender(tx)).filter(sender => this.queues.has(sender)))
+            : new Set(this.queues.keys());
+
+        this.lastBlockHash = latestBlock.hash;
+
+        const senderList = [ ...senders ];
+        const senderStates = await this.stateDB.getMany(senderList);
+
+        senderList.forEach((sender, index) => {
+            const senderState = senderStates[index];
+            const queue = this.queues.get(sender);
+
+            // Transactions were fully checked when they were added, so we only need to check what the chain can change.
+            let balance = senderState ? BigInt(senderState.balance) : 0n;
+
+            const newQueue = queue.filter(entry => {
+                if (!senderState) return false;
+
+                // Drop mined transactions, and legacy transactions of migrated accounts.
+                if (
+                    Transaction.isLegacy(entry.tx)
+                        ? !isLegacyAccount(senderState) || senderState.timestamps.includes(entry.tx.timestamp)
+                        : entry.tx.nonce < getNonce(senderState)
+                ) return false;
+
+                if (balance < Transaction.getCost(entry.tx)) return false;
+
+                balance -= Transaction.getCost(entry.tx);
+
+                return true;
+            });
+
+            this.setQueue(sender, newQueue);
+
+            if (senderState) this.nonces.set(sender, getNonce(senderState));
+        });
+    }
+
+    removeExpired() {
+        const now = Date.now();
+
+        for (const [ sender, queue ] of this.queues) {
+            this.setQueue(sender, queue.filter(entry => now - entry.addedAt < this.txLifetime));
+        }
+    }
+
+    getLowestEntry() {
+        // Only the last transaction of a sender can be evicted, so that the order of their transactions is kept.
+        let lowestEntry = null;
+
+        for (const queue of this.queues.values()) {
+            const entry = queue[queue.length - 1];
+
+            if (lowestEntry === null || Transaction.hasHigherGasPrice(lowestEntry.tx, entry.tx)) lowestEntry = entry;
+        }
+
+        return lowestEntry;
+    }
+
+    removeEntry(entry) {
+        this.setQueue(entry.sender, this.queues.get(entry.sender).filter(_entry => _entry !== entry));
+    }
+
+    setQueue(sender, queue) {
+        this.size += queue.length - this.queues.get(sender).length;
+
+        if (queue.length === 0) {
+            this.queues.delete(sender);
+            this.nonces.delete(sender);
+        } else {
+            this.queues.set(sender, queue);
+        }
+    }
+
+    static getReplayKey(tx) {
+        return Transaction.isLegacy(tx) ? `timestamp:${tx.timestamp}` : `nonce:${tx.nonce}`;
+    }
+
+    static canReplace(oldTx, newTx) {
+        // The fee per unit of gas (base gas included, so that a transaction with no tip can not be replaced for free)
+        // must be at least REPLACE_BUMP percent higher, compared by cross multiplying.
+        const getFee = tx => BigInt(tx.gas) + BigInt(tx.additionalData.contractGas || 0);
+
+        return (
+            getFee(newTx) * Transaction.getGasUsed(oldTx) * 100n >=
+            getFee(oldTx) * Transaction.getGasUsed(newTx) * (100n + REPLACE_BUMP)
+        );
+    }
+}
+
+module.exports = Mempool;
@@ -1,7 +1,21 @@
 const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
+const { encodeTransaction } = require("./encoding");
+const { FORK_HEIGHT } = require("../config.json");
 
-function generateMerkleRoot(transactions) {
-    const hashList = transactions.map(transaction => SHA256(JSON.stringify(transaction)));
+function hashTransaction(transaction, blockNumber) {
+    // Blocks below FORK_HEIGHT hashed their transactions as JSON, and all of their transactions were legacy ones, so
+    // legacy transactions in them are hashed that way, with their fields in the order they were created with.
+    if (blockNumber < FORK_HEIGHT && typeof transaction.nonce === "undefined") {
+        const { recipient, amount, gas, additionalData, timestamp, signature } = transaction;
+
+        return SHA256(JSON.stringify({ recipient, amount, gas, additionalData, timestamp, signature }));
+    }
+
+    return SHA256(encodeTransaction(transaction));
+}
+
+function generateMerkleRoot(transactions, blockNumber) {
+    const hashList = transactions.map(transaction => hashTransaction(transaction, blockNumber));
 
     while (hashList.length > 1) {
         const left = hashList.shift();
@@ -10,7 +24,7 @@ function generateMerkleRoot(transactions) {
         hashList.push(SHA256(left + right));
     }
 
-    return hashList[0];
+    return hashList.length === 0 ? "" : hashList[0]; // Blocks with no transactions have an empty root
 }
 
 module.exports = generateMerkleRoot;
@@ -0,0 +1,150 @@
+"use strict";
+
+// Collects signatures of transactions sent from multisig accounts (see account.js), so that signers do not have to pass
+// transactions around between them. A transaction is proposed, with or without signatures, signers add theirs one by
+// one, and once "threshold" registered signers have signed it is sent like any other transaction.
+// Proposals are only kept in memory, they expire after PROPOSAL_LIFETIME. A proposal needs a signature of one of the
+// account's signers, so only signers can fill the collector, and each account only keeps its MAX_SENDER_PROPOSALS newest
+// ones, so that one account can not push out the proposals of others.
+
+const Transaction = require("./transaction");
+const { isMultisigAccount } = require("./account");
+
+const MAX_SENDER_PROPOSALS = 16;                   // Max amount of proposals kept per multisig account
+const PROPOSAL_LIFETIME    = 3 * 60 * 60 * 1000;  // Time before a proposal is dropped
+
+class MultisigCollector {
+    constructor(stateDB, transactionHandler, options = {}) {
+        this.stateDB            = stateDB;
+        this.transactionHandler = transactionHandler; // Sends a transaction, resolves with true if it was accepted
+        this.maxSenderProposals = options.maxSenderProposals || MAX_SENDER_PROPOSALS;
+        this.proposalLifetime   = options.proposalLifetime || PROPOSAL_LIFETIME;
+        this.proposals          = new Map();          // { tx, signatures, addedAt, submitted }, keyed by transaction hash
+    }
+
+    async getMultisig(address) {
+        // Signers and threshold of a multisig account, null if the address is not one.
+        const [ account ] = await this.stateDB.getMany([ address ]);
+
+        return account && isMultisigAccount(account) ? account.multisig : null;
+    }
+
+    async propose(tx) {
+        this.removeExpired();
+
+        let hash;
+
+        try {
+            if (!Transaction.isMultisig(tx) || !Array.isArray(tx.signatures)) throw new Error();
+
+            hash = Transaction.getHash(tx);
+        } catch (e) {
+            throw new Error("Invalid transaction.");
+        }
+
+        const multisig = await this.getMultisig(tx.sender);
+
+        if (!multisig) throw new Error("Sender is not a multisig account.");
+
+        if (!this.proposals.has(hash)) {
+            // Signatures are checked before the proposal is kept, so that only signers can add proposals.
+            for (const signature of tx.signatures) {
+                MultisigCollector.getSigner(tx, signature, multisig);
+            }
+
+            if (tx.signatures.length === 0) throw new Error("Proposal is not signed by a registered signer.");
+
+            this.proposals.set(hash, {
+                tx: { ...tx, signatures: [] },
+                signatures: new Map(), // Signatures keyed by signer address
+                addedAt: Date.now(),
+                submitted: false
+            });
+
+            // Drop the sender's oldest proposals, the map keeps proposals in the order they were added.
+            const senderHashes = [ ...this.proposals.keys() ].filter(key => this.proposals.get(key).tx.sender === tx.sender);
+
+            for (const oldHash of senderHashes.slice(0, -this.maxSenderProposals)) {
+                this.proposals.delete(oldHash);
+            }
+        }
+
+        for (const signature of tx.signatures) {
+            await this.addSignature(hash, signature);
+        }
+
+        return this.getStatus(hash);
+    }
+
+    async sign(hash, signature) {
+        this.removeExpired();
+
+        await this.addSignature(hash, signature);
+
+        return this.getStatus(hash);
+    }
+
+    async addSignature(hash, signature) {
+        const proposal = this.proposals.get(hash);
+
+        if (!proposal) throw new Error("Invalid transaction hash.");
+
+        const multisig = await this.getMultisig(proposal.tx.sender);
+        const signer = MultisigCollector.getSigner(proposal.tx, signature, multisig);
+
+        proposal.signatures.set(signer, { v: signature.v, r: signature.r, s: signature.s });
+
+        // Send the transaction once it has enough signatures, proposals that are not accepted stay to be tried again.
+        if (!proposal.submitted && proposal.signatures.size >= multisig.threshold) {
+            proposal.submitted = await this.transactionHandler(this.getTransaction(proposal));
+        }
+    }
+
+    static getSigner(tx, signature, multisig) {
+        // Address of a registered signer who made "signature", throws if it is not one.
+        let signer;
+
+        try {
+            [ signer ] = Transaction.getSigners({ ...tx, signatures: [ signature ] });
+        } catch (e) {
+            throw new Error("Invalid signature.");
+        }
+
+        if (!multisig || !multisig.signers.includes(signer)) throw new Error("Signer is not registered.");
+
+        return signer;
+    }
+
+    getTransaction(proposal) {
+        // Signatures are sorted by signer so that every node builds the same transaction.
+        const signatures = [ ...proposal.signatures.keys() ].sort().map(signer => proposal.signatures.get(signer));
+
+        return { ...proposal.tx, signatures };
+    }
+
+    getStatus(hash) {
+        // Proposal as sent over RPC, null if there is none.
+        this.removeExpired();
+
+        const proposal = this.proposals.get(hash);
+
+        if (!proposal) return null;
+
+        return {
+            hash,
+            transaction: this.getTransaction(proposal),
+            signers: [ ...proposal.signatures.keys() ].sort(),
+            submitted: proposal.submitted
+        };
+    }
+
+    removeExpired() {
+        const now = Date.now();
+
+        for (const [ hash, proposal ] of this.proposals) {
+            if (now - proposal.addedAt > this.proposalLifetime) this.proposals.delete(hash);
+        }
+    }
+}
+
+module.exports = MultisigCollector;
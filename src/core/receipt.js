@@ -0,0 +1,40 @@
+"use strict";
+
+// Every transaction of a canonical block has a receipt that records what happened when it was executed:
+// {
+//     transactionHash, blockHash, blockNumber, transactionIndex, from, to,
+//     status,          // 1 if the transaction went through, 0 if its contract call failed
+//     gasUsed,         // Contract execution gas actually used
+//     contractAddress, // Contract that was deployed or called, null if none
+//     error,           // Why the contract call failed, null if it did not
+//     logs             // Values logged and events emitted by contracts, as { address, topics, data }
+// }
+// Receipts are stored in receiptDB keyed by transaction hash, and removed when their block is reverted.
+
+const Transaction = require("./transaction");
+
+function createReceipt(tx, block, index, from, contractAddress = null, result = { status: 1, gasUsed: "0", error: null, logs: [] }) {
+    return {
+        transactionHash:  Transaction.getHash(tx),
+        blockHash:        block.hash,
+        blockNumber:      block.blockNumber,
+        transactionIndex: index,
+        from,
+        to:               tx.recipient,
+        status:           result.status,
+        gasUsed:          result.gasUsed,
+        contractAddress,
+        error:            result.error,
+        logs:             result.logs
+    };
+}
+
+async function putReceipts(receipts, receiptDB) {
+    await receiptDB.batch(receipts.map(receipt => ({ type: "put", key: receipt.transactionHash, value: receipt })));
+}
+
+async function deleteReceipts(block, receiptDB) {
+    await receiptDB.batch(block.transactions.map(tx => ({ type: "del", key: Transaction.getHash(tx) })));
+}
+
+module.exports = { createReceipt, putReceipts, deleteReceipts };
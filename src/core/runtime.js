@@ -1,334 +1,453 @@
 const Transaction = require("./transaction");
+const { createAccount } = require("./account");
+const { getGasCost, getHashCost } = require("./gas");
+const { StateBuffer } = require("./buffer");
+const { getProgram } = require("./assembler");
 
 const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
 
-async function jelscript(input, gas, stateDB, block, txInfo, contractInfo, enableLogging) {
-	const instructions = input.trim().replace(/\t/g, "").split("\n").map(ins => ins.trim()).filter(ins => ins !== "");
+const MAX_CALL_DEPTH = 64; // Deepest chain of contracts calling each other
+const MAX_TOPICS     = 4;  // Most topics an event can have
+
+// "contract" is the state of the contract's account.
+// contractInfo is { address } for a contract called by a transaction. Contracts called by other contracts (see "call")
+// also get { caller, value, args, depth }: the calling contract, the amount it sent, its args and how deep the call is.
+async function jelscript(contract, gas, _stateDB, block, txInfo, contractInfo, enableLogging) {
+	// Writes are buffered and only committed if the contract does not fail, so a failed call leaves nothing behind.
+	const stateDB = new StateBuffer(_stateDB);
+
+	let instructions = [], labels = {}; // Contracts are assembled when they are deployed, see assembler.js
 
 	const memory = {};
+	const logs = []; // Values logged and events emitted by the contract and the contracts it called, kept in the transaction's receipt
+
+	const gasLimit = gas;
+
+	const userArgs = typeof contractInfo.args !== "undefined"
+		? contractInfo.args
+		: typeof txInfo.additionalData.txCallArgs !== "undefined" ? txInfo.additionalData.txCallArgs.map(arg => arg.toString()) : [];
 
-	const userArgs = typeof txInfo.additionalData.txCallArgs !== "undefined" ? txInfo.additionalData.txCallArgs.map(arg => arg.toString()) : [];
+	const caller = typeof contractInfo.caller !== "undefined" ? contractInfo.caller : Transaction.getSender(txInfo);
+	const callValue = typeof contractInfo.value !== "undefined" ? contractInfo.value : txInfo.amount.toString();
+	const depth = contractInfo.depth || 0;
 
 	let ptr = 0;
+	let returnValue = "0"; // Set by "return", given back to the calling contract
+
+	// Calls fail when they run out of gas before the end of the contract (or a "stop"), hit an invalid instruction or a
+	// value that can not be used (e.g. a word where a number is expected), or "revert". Their changes and logs are
+	// discarded, but their gas is not refunded: running out of gas uses up all of it, other failures use the gas paid
+	// until then (see gas.js).
+	let error = null;
+
+	try {
+		({ instructions, labels } = getProgram(contract)); // Contracts deployed before the assembler existed can be invalid
+
+		while (
+			ptr < instructions.length &&
+			instructions[ptr].command !== "stop"
+		) {
+			const { command, args } = instructions[ptr];
 
-	while (
-		ptr < instructions.length &&
-		gas >= BigInt("10000000") &&
-		instructions[ptr].trim() !== "stop"
-	) {
-		const line = instructions[ptr].trim();
-		const command = line.split(" ").filter(tok => tok !== "")[0];
-		const args = line.slice(command.length + 1).replace(/\s/g, "").split(",").filter(tok => tok !== "");
+			useGas(getGasCost(command));
 
-		switch (command) {
+			switch (command) {
 
-			// Memory stuff
+				// Memory stuff
 			
-			case "set": // Used to set values for variables
-				setMem(args[0], getValue(args[1]));
+				case "set": // Used to set values for variables
+					setMem(args[0], getValue(args[1]));
 				
-				break;
+					break;
 
-			case "add": // Add value to variable
-				setMem(
-					args[0], 
-					( BigInt(getValue("$" + args[0])) + BigInt(getValue(args[1])) ).toString()
-				);
+				case "add": // Add value to variable
+					setMem(
+						args[0], 
+						( BigInt(getValue("$" + args[0])) + BigInt(getValue(args[1])) ).toString()
+					);
 
-				break;
+					break;
 
-			case "sub": // Subtract value from variable
-				setMem(
-					args[0], 
-					( BigInt(getValue("$" + args[0])) - BigInt(getValue(args[1])) ).toString()
-				);
+				case "sub": // Subtract value from variable
+					setMem(
+						args[0], 
+						( BigInt(getValue("$" + args[0])) - BigInt(getValue(args[1])) ).toString()
+					);
 
-				break;
+					break;
 
-			case "mul": // Multiply variable by value
-				setMem(
-					args[0], 
-					( BigInt(getValue("$" + args[0])) * BigInt(getValue(args[1])) ).toString()
-				);
+				case "mul": // Multiply variable by value
+					setMem(
+						args[0], 
+						( BigInt(getValue("$" + args[0])) * BigInt(getValue(args[1])) ).toString()
+					);
 
-				break;
+					break;
 
-			case "div": // Divide variable by value
-				setMem(
-					args[0], 
-					( BigInt(getValue("$" + args[0])) / BigInt(getValue(args[1])) ).toString()
-				);
+				case "div": // Divide variable by value
+					setMem(
+						args[0], 
+						( BigInt(getValue("$" + args[0])) / BigInt(getValue(args[1])) ).toString()
+					);
 
-				break;
+					break;
 
-			case "mod": // Modulo
-				setMem(
-					args[0], 
-					( BigInt(getValue("$" + args[0])) % BigInt(getValue(args[1])) ).toString()
-				);
+				case "mod": // Modulo
+					setMem(
+						args[0], 
+						( BigInt(getValue("$" + args[0])) % BigInt(getValue(args[1])) ).toString()
+					);
 
-				break;
+					break;
 
-			case "and":
-				setMem(
-					args[0], 
-					( BigInt(getValue("$" + args[0])) & BigInt(getValue(args[1])) ).toString()
-				);
+				case "and":
+					setMem(
+						args[0], 
+						( BigInt(getValue("$" + args[0])) & BigInt(getValue(args[1])) ).toString()
+					);
 
-				break;
+					break;
 
-			case "or":
-				setMem(
-					args[0], 
-					( BigInt(getValue("$" + args[0])) | BigInt(getValue(args[1])) ).toString()
-				);
+				case "or":
+					setMem(
+						args[0], 
+						( BigInt(getValue("$" + args[0])) | BigInt(getValue(args[1])) ).toString()
+					);
 
-				break;
+					break;
 
-			case "xor":
-				setMem(
-					args[0], 
-					( BigInt(getValue("$" + args[0])) ^ BigInt(getValue(args[1])) ).toString()
-				);
+				case "xor":
+					setMem(
+						args[0], 
+						( BigInt(getValue("$" + args[0])) ^ BigInt(getValue(args[1])) ).toString()
+					);
 
-				break;
+					break;
 			
-			case "ls": // Left shift
-				setMem(
-					args[0], 
-					( BigInt(getValue("$" + args[0])) << BigInt(getValue(args[1])) ).toString()
-				);
+				case "ls": // Left shift
+					setMem(
+						args[0], 
+						( BigInt(getValue("$" + args[0])) << BigInt(getValue(args[1])) ).toString()
+					);
 
-				break;
+					break;
 			
-			case "rs": // Right shift
-				setMem(
-					args[0], 
-					( BigInt(getValue("$" + args[0])) >> BigInt(getValue(args[1])) ).toString()
-				);
+				case "rs": // Right shift
+					setMem(
+						args[0], 
+						( BigInt(getValue("$" + args[0])) >> BigInt(getValue(args[1])) ).toString()
+					);
 
-				break;
+					break;
 
-			case "not":
-				setMem(
-					args[0], 
-					( ~BigInt(getValue("$" + args[0])) ).toString()
-				);
+				case "not":
+					setMem(
+						args[0], 
+						( ~BigInt(getValue("$" + args[0])) ).toString()
+					);
 
-				break;
+					break;
 
-			case "gtr": // Greater than
-				setMem(
-					args[0], 
-					BigInt(getValue("$" + args[0])) > BigInt(getValue(args[1])) ? "1" : "0"
-				);
+				case "gtr": // Greater than
+					setMem(
+						args[0], 
+						BigInt(getValue("$" + args[0])) > BigInt(getValue(args[1])) ? "1" : "0"
+					);
 
-				break;
+					break;
 	
-			case "lss": // Less than
-				setMem(
-					args[0], 
-					BigInt(getValue("$" + args[0])) < BigInt(getValue(args[1])) ? "1" : "0"
-				);
+				case "lss": // Less than
+					setMem(
+						args[0], 
+						BigInt(getValue("$" + args[0])) < BigInt(getValue(args[1])) ? "1" : "0"
+					);
 
-				break;
+					break;
 	
-			case "geq": // Greater or equal to
-				setMem(
-					args[0], 
-					BigInt(getValue("$" + args[0])) >= BigInt(getValue(args[1])) ? "1" : "0"
-				);
+				case "geq": // Greater or equal to
+					setMem(
+						args[0], 
+						BigInt(getValue("$" + args[0])) >= BigInt(getValue(args[1])) ? "1" : "0"
+					);
 
-				break;
+					break;
 	
-			case "leq": // Less or equal to
-				setMem(
-					args[0], 
-					BigInt(getValue("$" + args[0])) <= BigInt(getValue(args[1])) ? "1" : "0"
-				);
+				case "leq": // Less or equal to
+					setMem(
+						args[0], 
+						BigInt(getValue("$" + args[0])) <= BigInt(getValue(args[1])) ? "1" : "0"
+					);
 
-				break;
+					break;
 	
-			case "equ": // Equal to
-				setMem(
-					args[0], 
-					BigInt(getValue("$" + args[0])) === BigInt(getValue(args[1])) ? "1" : "0"
-				);
+				case "equ": // Equal to
+					setMem(
+						args[0], 
+						BigInt(getValue("$" + args[0])) === BigInt(getValue(args[1])) ? "1" : "0"
+					);
 
-				break;
+					break;
 	
-			case "neq": // Not equal to
-				setMem(
-					args[0], 
-					BigInt(getValue("$" + args[0])) !== BigInt(getValue(args[1])) ? "1" : "0"
-				);
+				case "neq": // Not equal to
+					setMem(
+						args[0], 
+						BigInt(getValue("$" + args[0])) !== BigInt(getValue(args[1])) ? "1" : "0"
+					);
 
-				break;
+					break;
 
 			
-			// Flow control
-
-			case "jump": // Command to jump to labels conditionally
-				if (getValue(args[0]) === "1") {
-					ptr = instructions.indexOf(
-						instructions.find(
-							line => line.startsWith("label " + getValue(args[1]))
-						)
-					);
-				}
+				// Flow control
 
-				break;
+				case "jump": // Command to jump to labels conditionally
+					if (getValue(args[0]) === "1") {
+						// Labels named in the source are checked by the assembler, not the ones held by variables.
+						if (!Object.hasOwn(labels, getValue(args[1]))) throw new Error(`Label "${getValue(args[1])}" does not exist.`);
+
+						ptr = labels[getValue(args[1])];
+					}
+
+					break;
 
 			
-			// Storage stuff
+				// Storage stuff
 
-			case "store": // storage[key] = value
-				await setStorage(getValue(args[0]), getValue(args[1]));
+				case "store": // storage[key] = value
+					await setStorage(getValue(args[0]), getValue(args[1]));
 
-				break;
+					break;
 
-			case "pull": // memory[key1] = storage[key2]
-				setMem(args[0], await getStorage(getValue(args[1])));
+				case "pull": // memory[key1] = storage[key2]
+					setMem(args[0], await getStorage(getValue(args[1])));
 
-				break;
+					break;
 
 
-			// Block info
+				// Block info
 
-			case "timestamp": // Block's timestamp
-				setMem(args[0], block.timestamp.toString());
+				case "timestamp": // Block's timestamp
+					setMem(args[0], block.timestamp.toString());
 
-				break;
+					break;
 			
-			case "blocknumber": // Block's number
-				setMem(args[0], block.blockNumber.toString());
+				case "blocknumber": // Block's number
+					setMem(args[0], block.blockNumber.toString());
 
-				break;
+					break;
 			
-			case "blockhash": // Block's hash
-				setMem(args[0], block.hash);
+				case "blockhash": // Block's hash
+					setMem(args[0], block.hash);
 
-				break;
+					break;
 			
-			case "difficulty": // Block's difficulty
-				setMem(args[0], block.difficulty.toString());
+				case "difficulty": // Block's difficulty
+					setMem(args[0], block.difficulty.toString());
 
-				break;
+					break;
 
-			// Transaction info
+				// Transaction info
 
-			case "txvalue": // Amount of tokens sent in transaction
-				setMem(args[0], txInfo.amount.toString());
+				case "txvalue": // Amount of tokens sent in transaction, or by the calling contract
+					setMem(args[0], callValue);
 
-				break;
+					break;
 			
-			case "txsender": // Sender of transaction
-				const txSenderPubkey = Transaction.getPubKey(txInfo);
-				const txSenderAddress = SHA256(txSenderPubkey);
+				case "txsender": // Sender of transaction
+					setMem(args[0], Transaction.getSender(txInfo));
+
+					break;
 
-				setMem(args[0], txSenderAddress);
+				case "caller": // Sender of transaction, or the calling contract
+					setMem(args[0], caller);
 
-				break;
+					break;
 			
-			case "txgas": // Transaction gas
-				setMem(args[0], txInfo.gas.toString());
+				case "txgas": // Transaction gas
+					setMem(args[0], txInfo.gas.toString());
 
-				break;
+					break;
 			
-			case "txexecgas": // Contract execution gas
-				setMem(args[0], txInfo.additionalData.contractGas.toString());
+				case "txexecgas": // Contract execution gas
+					setMem(args[0], txInfo.additionalData.contractGas.toString());
 
-				break;
+					break;
 			
 
-			// Contract info
+				// Contract info
 
-			case "address": // Contract's address
-				setMem(args[0], contractInfo.address);
-				break;
+				case "address": // Contract's address
+					setMem(args[0], contractInfo.address);
+					break;
 
-			case "selfbalance": // Contract's balance
-				const contractState = await stateDB.get(contractInfo.address);
+				case "selfbalance": // Contract's balance
+					const contractState = await stateDB.get(contractInfo.address);
 
-				setMem(args[0], contractState.balance);
+					setMem(args[0], contractState.balance);
 
-				break;
+					break;
 
-			// Interactions with others
+				// Interactions with others
 			
-			case "balance": // Get balance from address
-				const address = getValue(args[1]);
+				case "balance": // Get balance from address
+					const address = getValue(args[1]);
+
+					if (!(await stateDB.keys().all()).includes(address)) {
+						setMem(getValue(args[0]), "0");
+						break;
+					}
+
+					const targetState = await stateDB.get(address);
+					const targetBalance = targetState.balance;
+
+					setMem(args[0], targetBalance.toString());
 
-				if (!(await stateDB.keys().all()).includes(address)) {
-					setMem(getValue(args[0]), "0");
 					break;
-				}
 
-				const targetState = await stateDB.get(address);
-				const targetBalance = targetState.balance;
+				case "send": // Send tokens to address
+					const target = getValue(args[0]);
+					const amount = BigInt(getValue(args[1]));
+					const state = await stateDB.get(contractInfo.address);
+					const balance = state.balance;
+
+					if (amount < 0n) throw new Error("Invalid amount.");
+
+					if (target !== contractInfo.address && BigInt(balance) >= amount) {
+						const existedAddresses = await stateDB.keys().all();
+
+						if (!existedAddresses.includes(target)) {
+							await stateDB.put(target, createAccount(amount.toString()));
+						} else {
+							const targetState = await stateDB.get(target);
+
+							targetState.balance = (BigInt(targetState.balance) + amount).toString();
+
+							await stateDB.put(target, targetState);
+						}
+
+						state.balance = (BigInt(state.balance) - amount).toString();
+
+						await stateDB.put(contractInfo.address, state);
+					}			
+
+					break;
+
+				case "call": // Call another contract: call var_name, address, value, gas, args...
+					if (depth >= MAX_CALL_DEPTH) throw new Error("Call depth limit reached.");
+
+					const callee = getValue(args[1]);
+					const calleeValue = BigInt(getValue(args[2]));
+					const calleeGasLimit = BigInt(getValue(args[3]));
+					const calleeGas = calleeGasLimit < gas ? calleeGasLimit : gas; // Can't give more than we have
+					const calleeArgs = args.slice(4).map(arg => getValue(arg));
+
+					if (calleeGasLimit < 0n) throw new Error("Invalid call gas.");
+
+					if (!(await stateDB.keys().all()).includes(callee)) throw new Error(`"${callee}" is not a contract.`);
 
-				setMem(args[0], targetBalance.toString());
+					const calleeState = await stateDB.get(callee);
 
-				break;
+					if (calleeState.body === "") throw new Error(`"${callee}" is not a contract.`);
 
-			case "send": // Send tokens to address
-				const target = getValue(args[0]);
-				const amount = BigInt(getValue(args[1]));
-				const state = await stateDB.get(contractInfo.address);
-				const balance = state.balance;
+					if (calleeValue !== 0n) {
+						const callerState = await stateDB.get(contractInfo.address);
 
-				if (BigInt(balance) >= amount) {
-					const existedAddresses = await stateDB.keys().all();
+						if (calleeValue < 0n || BigInt(callerState.balance) < calleeValue) throw new Error("Invalid call value.");
 
-					if (!existedAddresses.includes(target)) {
-						await stateDB.put(target, {
-							balance: amount.toString(),
-							body: "",
-							timestamps: [],
-							storage: {}
-						});
-					} else {
-						const targetState = await stateDB.get(target);
+						await stateDB.put(contractInfo.address, { ...callerState, balance: (BigInt(callerState.balance) - calleeValue).toString() });
 
-						targetState.balance = BigInt(targetState.balance) + amount;
+						const calleeStateNow = await stateDB.get(callee); // The callee might be ourselves
 
-						await stateDB.put(target, targetState);
+						await stateDB.put(callee, { ...calleeStateNow, balance: (BigInt(calleeStateNow.balance) + calleeValue).toString() });
 					}
 
-					state.balance = BigInt(state.balance) - amount;
+					const callResult = await jelscript(calleeState, calleeGas, stateDB, block, txInfo, {
+						address: callee,
+						caller: contractInfo.address,
+						value: calleeValue.toString(),
+						args: calleeArgs,
+						depth: depth + 1
+					}, enableLogging);
+
+					// The called contract's gas is ours, and a failed call fails the caller too.
+					gas -= BigInt(callResult.gasUsed);
+					logs.push(...callResult.logs);
+
+					if (callResult.status === 0) {
+						// Report the innermost contract that failed.
+						throw new Error(callResult.error.startsWith("Call to") ? callResult.error : `Call to "${callee}" failed: ${callResult.error}`);
+					}
+
+					setMem(args[0], callResult.returnValue);
 
-					await stateDB.put(contractInfo.address, state);
-				}			
+					break;
 
-				break;
+				case "return": // Stop execution and give a value back to the calling contract
+					returnValue = getValue(args[0]);
+					ptr = instructions.length;
 
-			/* TODO
-			case "call": // Used to call other contracts
+					break;
 
-				break;
-			*/
+				case "revert": // Fail and discard every change, with an optional reason
+					throw new Error(typeof args[0] === "undefined" ? "Reverted." : `Reverted: ${getValue(args[0])}`);
 
 
-			// Others
+				// Others
 
-			case "sha256": // Generate sha256 hash of value and assign to variable
-				setMem(args[0], SHA256(getValue(args[1])));
+				case "sha256": // Generate sha256 hash of value and assign to variable
+					useGas(getHashCost(getValue(args[1])));
+
+					setMem(args[0], SHA256(getValue(args[1])));
+
+					break;
 
-				break;
+				case "log": // Log out data
+					logs.push({ address: contractInfo.address, topics: [], data: getValue(args[0]) });
 
-			case "log": // Log out data
-				if (enableLogging) console.log("LOG ::", contractInfo.address + ":", getValue(args[0]));
+					if (enableLogging) console.log("LOG ::", contractInfo.address + ":", getValue(args[0]));
 			
-				break;
+					break;
+
+				case "emit": // Record an event: emit data, topic0, topic1, ...
+					if (args.length - 1 > MAX_TOPICS) throw new Error("Too many topics.");
+
+					logs.push({ address: contractInfo.address, topics: args.slice(1).map(arg => getValue(arg)), data: getValue(args[0]) });
+
+					break;
+
+				case "gas": // Show current available gas
+					setMem(args[0], gas.toString());
+
+					break;
+
+				case "label": // Labels are only used by "jump"
+					break;
+
+				default:
+					throw new Error(`Invalid instruction "${command}".`);
+			}
+
+			ptr++;
+		}
+	} catch (e) {
+		error = e.message;
+	}
+
+	if (error !== null) {
+		return { status: 0, gasUsed: (gasLimit - gas).toString(), error, logs: [], returnValue: "0", memory };
+	}
+
+	await stateDB.commit();
+
+	return { status: 1, gasUsed: (gasLimit - gas).toString(), error, logs, returnValue, memory };
 
-			case "gas": // Show current available gas
-				setMem(args[0], gas.toString());
+	function useGas(amount) {
+		if (gas < amount) {
+			gas = 0n;
 
-				break;
+			throw new Error("Out of gas.");
 		}
 
-		ptr++;
-		gas-=BigInt("10000000");
+		gas -= amount;
 	}
 
 	function getValue(token) {
@@ -358,7 +477,7 @@ async function jelscript(input, gas, stateDB, block, txInfo, contractInfo, enabl
 
 		contractState.storage[key] = value;		
 
-		stateDB.put(contractInfo.address, contractState);
+		await stateDB.put(contractInfo.address, contractState);
 	}
 
 	async function getStorage(key) {
@@ -0,0 +1,192 @@
+"use strict";
+
+// Dry runs of contract calls for the "call" and "estimateGas" RPCs. Contracts run against buffers on top of the state
+// (see buffer.js) that are never committed, so nothing is written to stateDB and no fees are paid. The state a call runs
+// against is copied in the chain's queue (see chain.js), so that the chain does not change while it is read, but the
+// call itself runs outside of it, so that calls do not hold up blocks.
+
+const jelscript = require("./runtime");
+const Transaction = require("./transaction");
+const { StateBuffer } = require("./buffer");
+const { revertState } = require("./journal");
+const { queue } = require("./chain");
+const { isNumber } = require("../utils/utils");
+const { BLOCK_GAS_LIMIT } = require("../config.json");
+
+const MAX_STATE_DEPTH   = 256; // Most blocks we go back to run a call against an older state
+const MAX_ESTIMATE_RUNS = 64;  // Most calls run to estimate gas, the search stops at the best estimate so far after
+
+// Most contract gas a call can use, so that calls can not keep the node busy, and never more than a block can hold.
+const MAX_CALL_GAS = BigInt(BLOCK_GAS_LIMIT) < 10000000000000n ? BLOCK_GAS_LIMIT : "10000000000000";
+
+function createStateSnapshot(entries) {
+    // Read-only copy of the state, with what buffers read from stateDB. States are copied out, like Level does.
+    const accounts = new Map(entries);
+    const copy = state => JSON.parse(JSON.stringify(state));
+
+    return {
+        keys: () => ({ all: async () => [ ...accounts.keys() ] }),
+        get: async key => {
+            if (!accounts.has(key)) throw new Error(`Account "${key}" does not exist.`);
+
+            return copy(accounts.get(key));
+        },
+        getMany: async keys => keys.map(key => accounts.has(key) ? copy(accounts.get(key)) : undefined),
+        iterator: () => ({ all: async () => [ ...accounts.entries() ].map(([ key, state ]) => [ key, copy(state) ]) })
+    };
+}
+
+async function getStateAt(blockNumber, latestBlockNumber, stateDB, blockDB, journalDB) {
+    // State right after block "blockNumber", rebuilt by undoing the blocks above it in a buffer on top of a copy of
+    // stateDB, so that it does not change with the chain.
+    const state = new StateBuffer(createStateSnapshot(await stateDB.iterator().all()));
+
+    for (let number = latestBlockNumber; number > blockNumber; number--) {
+        const block = await blockDB.get(number.toString());
+
+        await revertState(await journalDB.get(block.hash), state);
+    }
+
+    return state;
+}
+
+function prepareCall(call, getLatestBlockNumber, stateDB, blockDB, journalDB) {
+    // Check a call and load what it runs against, in the chain's queue. A call is { address, sender, args, value,
+    // contractGas, blockNumber }, only "address" is required. "getLatestBlockNumber" gives the number of the chain's
+    // latest block.
+    return queue(() => loadCall(call, getLatestBlockNumber(), stateDB, blockDB, journalDB));
+}
+
+async function loadCall(call, latestBlockNumber, stateDB, blockDB, journalDB) {
+    const { address, sender = "", args = [], value = "0", contractGas = MAX_CALL_GAS } = call;
+
+    if (
+        typeof address !== "string" ||
+        typeof sender !== "string" ||
+        !Array.isArray(args) || !args.every(arg => typeof arg === "string") ||
+        typeof value !== "string" || value === "" || !isNumber(value) ||
+        typeof contractGas !== "string" || contractGas === "" || !isNumber(contractGas) ||
+        BigInt(contractGas) > BigInt(MAX_CALL_GAS) ||
+        !["undefined", "number"].includes(typeof call.blockNumber)
+    ) {
+        throw new Error("Invalid request.");
+    }
+
+    const blockNumber = typeof call.blockNumber === "undefined" ? latestBlockNumber : call.blockNumber;
+
+    if (
+        !Number.isInteger(blockNumber) ||
+        blockNumber < 1 ||
+        blockNumber > latestBlockNumber ||
+        latestBlockNumber - blockNumber > MAX_STATE_DEPTH
+    ) {
+        throw new Error("Invalid block number.");
+    }
+
+    const state = await getStateAt(blockNumber, latestBlockNumber, stateDB, blockDB, journalDB);
+
+    if (!(await state.keys().all()).includes(address) || (await state.get(address)).body === "") {
+        throw new Error("Invalid contract address.");
+    }
+
+    // An unsigned transaction from "sender", made as a multisig transaction as they are the ones that name their sender.
+    const tx = Transaction.createMultisig(sender, address, value, "1000000000000", { contractGas, txCallArgs: args });
+
+    return { tx, state, block: await blockDB.get(blockNumber.toString()) };
+}
+
+async function runCall({ tx, state, block }, contractGas) {
+    // Run the call in its own buffer, returns the result and the buffer.
+    const overlay = new StateBuffer(state);
+    const contract = await overlay.get(tx.recipient);
+
+    // The amount is sent to the contract before it runs, like in changeState.
+    await overlay.put(tx.recipient, { ...contract, balance: (BigInt(contract.balance) + BigInt(tx.amount)).toString() });
+
+    const result = await jelscript(contract, contractGas, overlay, block, tx, { address: tx.recipient }, false);
+
+    return { result, overlay };
+}
+
+async function getStorageChanges(overlay, state) {
+    // Storage keys changed by a call, as { address: { key: [ old, new ] } }, missing keys are null.
+    const changes = {};
+    const existedAddresses = await state.keys().all();
+
+    for (const [ address, newState ] of overlay.writes) {
+        const oldStorage = existedAddresses.includes(address) ? (await state.get(address)).storage : {};
+        const newStorage = newState.storage;
+
+        for (const key of new Set([ ...Object.keys(oldStorage), ...Object.keys(newStorage) ])) {
+            const oldValue = typeof oldStorage[key] === "undefined" ? null : oldStorage[key];
+            const newValue = typeof newStorage[key] === "undefined" ? null : newStorage[key];
+
+            if (oldValue === newValue) continue;
+
+            if (typeof changes[address] === "undefined") changes[address] = {};
+
+            changes[address][key] = [ oldValue, newValue ];
+        }
+    }
+
+    return changes;
+}
+
+async function simulateCall(call, getLatestBlockNumber, stateDB, blockDB, journalDB) {
+    // Run a call and return what it would do.
+    const prepared = await prepareCall(call, getLatestBlockNumber, stateDB, blockDB, journalDB);
+    const { result, overlay } = await runCall(prepared, BigInt(prepared.tx.additionalData.contractGas));
+
+    return {
+        status: result.status,
+        error: result.error,
+        gasUsed: result.gasUsed,
+        returnValue: result.returnValue,
+        memory: result.memory,
+        logs: result.logs,
+        storage: await getStorageChanges(overlay, prepared.state)
+    };
+}
+
+async function estimateGas(call, getLatestBlockNumber, stateDB, blockDB, journalDB) {
+    // Find the least contract gas that a call succeeds with. The gas a call uses can depend on how much it was given
+    // (through "gas" or "call"), so when the gas used by a call with the most gas is not enough, it is searched for.
+    const prepared = await prepareCall({ ...call, contractGas: MAX_CALL_GAS }, getLatestBlockNumber, stateDB, blockDB, journalDB);
+
+    let runs = 0;
+
+    const run = async contractGas => {
+        runs++;
+
+        return (await runCall(prepared, contractGas)).result;
+    };
+
+    const { status, error, gasUsed } = await run(BigInt(MAX_CALL_GAS));
+
+    if (status === 0) throw new Error(`Call failed: ${error}`);
+
+    // "low" fails and "high" succeeds, "high" is doubled until it does.
+    let low = BigInt(gasUsed), high = BigInt(gasUsed);
+
+    while (high < BigInt(MAX_CALL_GAS) && (await run(high)).status === 0) {
+        low = high;
+        high = high * 2n < BigInt(MAX_CALL_GAS) ? high * 2n : BigInt(MAX_CALL_GAS);
+    }
+
+    if (low === high) return high.toString(); // The gas it used is enough
+
+    // "high" always succeeds, so it is a safe estimate if we run out of runs.
+    while (high - low > 1n && runs < MAX_ESTIMATE_RUNS) {
+        const middle = (low + high) / 2n;
+
+        if ((await run(middle)).status === 1) {
+            high = middle;
+        } else {
+            low = middle;
+        }
+    }
+
+    return high.toString();
+}
+
+module.exports = { simulateCall, estimateGas };
@@ -0,0 +1,139 @@
+"use strict";
+
+// State snapshots hold every account at a given block, so that new nodes can start from that block instead of
+// replaying the whole chain.
+
+const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
+const fs = require("fs");
+
+const Block = require("./block");
+const { revertState } = require("./journal");
+const { generateStateRoot } = require("./stateRoot");
+const { setProgram } = require("./assembler");
+const { DIFFICULTY_WINDOW, LEGACY_DIFFICULTY_WINDOW } = require("../consensus/pow");
+const { FORK_HEIGHT } = require("../config.json");
+
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_STATE_KEY = "snapshot"; // Key of the imported state in journalDB, block hashes are never this
+
+function getChecksum(snapshot) {
+    // The checksum is tied to the hash of the block the snapshot was taken at.
+    return SHA256(
+        snapshot.version.toString()            +
+        snapshot.block.hash                    +
+        snapshot.totalWork                     +
+        JSON.stringify(snapshot.recentBlocks)  +
+        JSON.stringify(snapshot.accounts)
+    );
+}
+
+async function exportSnapshot(blockNumber, filePath, stores) {
+    const { stateDB, blockDB, forkDB, journalDB } = stores;
+
+    const latestBlockNumber = Math.max(...(await blockDB.keys().all()).map(key => parseInt(key)));
+
+    if (!Number.isInteger(blockNumber) || blockNumber <= 0 || blockNumber > latestBlockNumber) {
+        throw new Error(`Block #${blockNumber} is not in the chain.`);
+    }
+
+    // Load the current state into memory and undo blocks above the snapshot's block.
+    const accounts = new Map(await stateDB.iterator().all());
+    const memoryDB = {
+        get: async key => accounts.get(key),
+        put: async (key, value) => { accounts.set(key, value); },
+        del: async key => { accounts.delete(key); }
+    };
+
+    for (let currentNumber = latestBlockNumber; currentNumber > blockNumber; currentNumber--) {
+        const block = await blockDB.get(currentNumber.toString());
+        const [ journal ] = await journalDB.getMany([ block.hash ]);
+
+        if (!journal) throw new Error(`Can not rebuild state at block #${blockNumber}, no journal was recorded for block #${currentNumber}.`);
+
+        await revertState(journal, memoryDB);
+    }
+
+    const block = await blockDB.get(blockNumber.toString());
+    const recentBlocks = [];
+
+    // Blocks before the snapshot's block are needed for difficulty adjustment, which looks further back below FORK_HEIGHT.
+    const window = blockNumber < FORK_HEIGHT ? LEGACY_DIFFICULTY_WINDOW : DIFFICULTY_WINDOW;
+
+    for (let currentNumber = Math.max(1, blockNumber - window); currentNumber < blockNumber; currentNumber++) {
+        recentBlocks.push(await blockDB.get(currentNumber.toString()));
+    }
+
+    // Chains stored by older versions only get their work recorded once a node has loaded them (see chain.js).
+    const [ entry ] = await forkDB.getMany([ block.hash ]);
+
+    if (!entry) throw new Error(`No work was recorded for block #${blockNumber}, start the node once before exporting.`);
+
+    const snapshot = {
+        version: SNAPSHOT_VERSION,
+        block,
+        totalWork: entry.totalWork,
+        recentBlocks,
+        accounts: [ ...accounts.entries() ].sort(([ a ], [ b ]) => a < b ? -1 : 1)
+    };
+
+    snapshot.checksum = getChecksum(snapshot);
+
+    fs.writeFileSync(filePath, JSON.stringify(snapshot));
+
+    return snapshot;
+}
+
+async function importSnapshot(filePath, stores) {
+    const { stateDB, blockDB, forkDB, journalDB } = stores;
+
+    if ((await blockDB.keys().all()).length !== 0) throw new Error("Snapshots can only be imported into an empty chain.");
+
+    const snapshot = JSON.parse(fs.readFileSync(filePath));
+
+    if (snapshot.version !== SNAPSHOT_VERSION) throw new Error(`Unsupported snapshot version ${snapshot.version}.`);
+
+    if (getChecksum(snapshot) !== snapshot.checksum) throw new Error("Snapshot checksum does not match.");
+
+    if (!Block.hasValidPropTypes(snapshot.block) || Block.getHash(snapshot.block) !== snapshot.block.hash) {
+        throw new Error("Snapshot block is invalid.");
+    }
+
+    // The accounts must produce the state root committed in the block (blocks below FORK_HEIGHT have none).
+    if (snapshot.block.stateRoot !== "" && generateStateRoot(snapshot.accounts) !== snapshot.block.stateRoot) {
+        throw new Error("Snapshot accounts do not match the block's state root.");
+    }
+
+    // Recent blocks must lead up to the snapshot's block.
+    const blocks = [ ...snapshot.recentBlocks, snapshot.block ];
+
+    for (let index = 1; index < blocks.length; index++) {
+        if (blocks[index].parentHash !== blocks[index - 1].hash || blocks[index].blockNumber !== blocks[index - 1].blockNumber + 1) {
+            throw new Error("Snapshot blocks are not linked.");
+        }
+    }
+
+    // Programs are not part of the state root, so they are made again from the bodies instead of being trusted.
+    for (const [ , state ] of snapshot.accounts) setProgram(state);
+
+    await stateDB.clear();
+    await stateDB.batch(snapshot.accounts.map(([ key, value ]) => ({ type: "put", key, value })));
+
+    await blockDB.batch(blocks.map(block => ({ type: "put", key: block.blockNumber.toString(), value: block })));
+
+    await forkDB.put(snapshot.block.hash, { block: snapshot.block, totalWork: snapshot.totalWork });
+
+    // Blocks before the snapshot's block are not all here and have no journals, so the state can only ever be rebuilt
+    // from the snapshot's accounts (see chain.js), which are kept for that.
+    await journalDB.put(SNAPSHOT_STATE_KEY, { blockNumber: snapshot.block.blockNumber, accounts: snapshot.accounts });
+
+    return snapshot;
+}
+
+async function getSnapshotState(journalDB) {
+    // The state a snapshot was imported with, as { blockNumber, accounts }, null if the chain was not started from one.
+    const [ snapshotState ] = await journalDB.getMany([ SNAPSHOT_STATE_KEY ]);
+
+    return snapshotState || null;
+}
+
+module.exports = { exportSnapshot, importSnapshot, getSnapshotState };
@@ -1,78 +1,137 @@
 "use strict";
 
-const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
-const EC = require("elliptic").ec, ec = new EC("secp256k1");
-
 const jelscript = require("./runtime");
 const Transaction = require("./transaction");
+const { StateJournal } = require("./journal");
+const { createAccount, getNonce, isMultisigAccount } = require("./account");
+const { setProgram } = require("./assembler");
+const { createReceipt } = require("./receipt");
 
-const MINT_PRIVATE_ADDRESS = "0000000000000000000000000000000000000000000000000000000000000001";
-const MINT_KEY_PAIR = ec.keyFromPrivate(MINT_PRIVATE_ADDRESS, "hex");
-const MINT_PUBLIC_ADDRESS = MINT_KEY_PAIR.getPublic("hex");
+async function changeState(newBlock, _stateDB, enableLogging = false) {
+    // Every write goes through the journal, so that we can return a diff that undoes this block, along with the
+    // receipts of the block's transactions.
+    const stateDB = new StateJournal(_stateDB);
 
-async function changeState(newBlock, stateDB, enableLogging = false) {
     const existedAddresses = await stateDB.keys().all();
+    const receipts = [];
+
+    // Contract gas that a call has used goes to the miner, the recipient of the block's mint transaction.
+    const mintTransaction = newBlock.transactions.find(tx => Transaction.isMint(tx));
+    const coinbase = mintTransaction ? mintTransaction.recipient : null;
+
+    for (const [ index, tx ] of newBlock.transactions.entries()) {
+        let contractAddress = null, result; // Result of the contract call, if any
 
-    for (const tx of newBlock.transactions) {
         // If the address doesn't already exist in the chain state, we will create a new empty one.
         if (!existedAddresses.includes(tx.recipient)) {
-            await stateDB.put(tx.recipient, {
-                balance: "0",
-                body: "",
-                timestamps: [],
-                storage: {}
-            });
+            await stateDB.put(tx.recipient, createAccount());
+
+            existedAddresses.push(tx.recipient); // So that later transactions to it do not reset it
         }
 
-        // Get sender's public key and address
-        const txSenderPubkey = Transaction.getPubKey(tx);
-        const txSenderAddress = SHA256(txSenderPubkey);
+        // Get sender's address
+        const txSenderAddress = Transaction.getSender(tx);
+        const isMint = Transaction.isMint(tx);
 
         // If the address doesn't already exist in the chain state, we will create a new empty one.
+        // Senders of legacy transactions (only the genesis block's can be new) start as legacy accounts.
         if (!existedAddresses.includes(txSenderAddress)) {
-            await stateDB.put(txSenderAddress, {
-                balance: "0",
-                body: "",
-                timestamps: [],
-                storage: {}
-            });
+            await stateDB.put(txSenderAddress, Transaction.isLegacy(tx) ? { balance: "0", body: "", timestamps: [], storage: {} } : createAccount());
+
+            existedAddresses.push(txSenderAddress);
         } else if (typeof tx.additionalData.scBody === "string") {
             const dataFromSender = await stateDB.get(txSenderAddress);
 
             if (dataFromSender.body === "") {
                 dataFromSender.body = tx.additionalData.scBody;
+                contractAddress = txSenderAddress; // The sender's address becomes the contract's
 
-                await stateDB.put(txSenderAddress, dataFromSender);
+                await stateDB.put(txSenderAddress, setProgram(dataFromSender));
             }
         }
 
         const dataFromSender = await stateDB.get(txSenderAddress);
         const dataFromRecipient = await stateDB.get(tx.recipient);
 
-        await stateDB.put(txSenderAddress, {
-            balance: (BigInt(dataFromSender.balance) - BigInt(tx.amount) - BigInt(tx.gas) - BigInt((tx.additionalData.contractGas || 0))).toString(),
-            body: dataFromSender.body,
-            timestamps: [...dataFromSender.timestamps, tx.timestamp],
-            storage: dataFromSender.storage
-        });
+        const senderBalance = (BigInt(dataFromSender.balance) - BigInt(tx.amount) - BigInt(tx.gas) - BigInt((tx.additionalData.contractGas || 0))).toString();
+
+        // Legacy transactions add their timestamp to the sender's used timestamps, others bump the sender's nonce.
+        if (Transaction.isLegacy(tx) && !isMint) {
+            await stateDB.put(txSenderAddress, {
+                balance: senderBalance,
+                body: dataFromSender.body,
+                timestamps: [...dataFromSender.timestamps, tx.timestamp],
+                storage: dataFromSender.storage,
+                ...(typeof dataFromSender.program === "object" ? { program: dataFromSender.program } : {})
+            });
+        } else {
+            await stateDB.put(txSenderAddress, {
+                balance: senderBalance,
+                body: dataFromSender.body,
+                nonce: getNonce(dataFromSender) + 1,
+                storage: dataFromSender.storage,
+                ...(typeof dataFromSender.program === "object" ? { program: dataFromSender.program } : {}),
+                ...(isMultisigAccount(dataFromSender) ? { multisig: dataFromSender.multisig } : {})
+            });
+        }
 
         await stateDB.put(tx.recipient, {
-            balance: (BigInt(dataFromRecipient.balance) + BigInt(tx.amount)).toString(),
-            body: dataFromRecipient.body,
-            timestamps: dataFromRecipient.timestamps,
-            storage: dataFromRecipient.storage
+            ...dataFromRecipient,
+            balance: (BigInt(dataFromRecipient.balance) + BigInt(tx.amount)).toString()
         });
 
+        // Transactions with "multisig" create a multisig account at their recipient (see account.js).
+        if (typeof tx.additionalData.multisig === "object") {
+            await stateDB.put(tx.recipient, {
+                ...(await stateDB.get(tx.recipient)),
+                multisig: {
+                    signers: [ ...tx.additionalData.multisig.signers ].sort(),
+                    threshold: tx.additionalData.multisig.threshold
+                }
+            });
+        }
+
         if (
-            txSenderPubkey !== MINT_PUBLIC_ADDRESS &&
+            !isMint &&
             typeof dataFromRecipient.body === "string" && 
             dataFromRecipient.body !== ""
         ) {
             const contractInfo = { address: tx.recipient };
             
-            await jelscript(dataFromRecipient.body, BigInt(tx.additionalData.contractGas || 0), stateDB, newBlock, tx, contractInfo, enableLogging);
+            result = await jelscript(dataFromRecipient, BigInt(tx.additionalData.contractGas || 0), stateDB, newBlock, tx, contractInfo, enableLogging);
+            contractAddress = tx.recipient;
+
+            // A failed call leaves no changes behind (see runtime.js), and the amount sent to the contract goes back to
+            // the sender.
+            if (result.status === 0 && BigInt(tx.amount) > 0n) {
+                await addBalance(stateDB, tx.recipient, -BigInt(tx.amount));
+                await addBalance(stateDB, txSenderAddress, BigInt(tx.amount));
+            }
+        }
+
+        // The sender paid for all of its contract gas up front, what the contract did not use is refunded and the rest
+        // goes to the miner. Transactions that do not call a contract get all of it back.
+        const contractGas = BigInt(tx.additionalData.contractGas || 0);
+        const gasUsed = result ? BigInt(result.gasUsed) : 0n;
+
+        if (contractGas - gasUsed > 0n) {
+            await addBalance(stateDB, txSenderAddress, contractGas - gasUsed);
+        }
+
+        if (gasUsed > 0n && coinbase !== null) {
+            await addBalance(stateDB, coinbase, gasUsed);
         }
+
+        receipts.push(createReceipt(tx, newBlock, index, txSenderAddress, contractAddress, result));
     }
+
+    return { journal: await stateDB.getDiff(), receipts };
+}
+
+async function addBalance(stateDB, address, amount) {
+    const account = await stateDB.get(address);
+
+    await stateDB.put(address, { ...account, balance: (BigInt(account.balance) + amount).toString() });
 }
 
 module.exports = changeState;
\ No newline at end of file
@@ -0,0 +1,59 @@
+"use strict";
+
+const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
+
+const changeState = require("./state");
+const { StateBuffer } = require("./buffer");
+const { isLegacyAccount, isMultisigAccount } = require("./account");
+const { encodeItem, encodeString, encodeUint, valueToItem } = require("./encoding");
+
+function hashAccount(address, state) {
+    // The account is hashed as one RLP list (see encoding.js), so that no two accounts share an encoding. Storage keys
+    // are sorted by the encoding, so that the hash does not depend on the order they were written in. Programs are left
+    // out, they are made from the body (see assembler.js). Accounts that are not multisig have an empty list instead.
+    return SHA256(encodeItem([
+        encodeString(address),
+        encodeString(state.balance), // Balances can be negative (the mint account's), so they are kept as strings
+        encodeString(state.body),
+        isLegacyAccount(state) ? valueToItem(state.timestamps) : encodeUint(state.nonce),
+        valueToItem(state.storage),
+        isMultisigAccount(state) ? valueToItem(state.multisig) : []
+    ]));
+}
+
+async function getStateRoot(stateDB) {
+    // Accounts are iterated in key order, which is the same on every node.
+    return generateStateRoot(await stateDB.iterator().all());
+}
+
+function generateStateRoot(accounts) {
+    // "accounts" is a list of [ address, state ] sorted by address.
+    const hashList = accounts.map(([ address, state ]) => hashAccount(address, state));
+
+    if (hashList.length === 0) return SHA256("");
+
+    while (hashList.length > 1) {
+        const nextLevel = [];
+
+        for (let index = 0; index < hashList.length; index += 2) {
+            // If there is an odd amount of hashes, the last one is paired with itself.
+            nextLevel.push(SHA256(hashList[index] + (hashList[index + 1] || hashList[index])));
+        }
+
+        hashList.splice(0, hashList.length, ...nextLevel);
+    }
+
+    return hashList[0];
+}
+
+async function getPostStateRoot(block, stateDB) {
+    // Execute a block in a buffer on top of the current state and get the resulting state root. The buffer is never
+    // committed, so stateDB is left untouched even when blocks are checked and built at the same time.
+    const overlay = new StateBuffer(stateDB);
+
+    await changeState(block, overlay);
+
+    return await getStateRoot(overlay);
+}
+
+module.exports = { getStateRoot, generateStateRoot, getPostStateRoot };
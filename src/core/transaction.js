@@ -2,6 +2,10 @@
 
 const BN = require("bn.js");
 const { isNumber } = require("../utils/utils");
+const { isLegacyAccount, getNonce, isMultisigAccount, getMultisigAddress, isValidMultisigConfig } = require("./account");
+const { encodeTransaction, encodeUnsignedTransaction } = require("./encoding");
+const { getProgramError } = require("./assembler");
+const { CHAIN_ID, CHAIN_ID_HEIGHT } = require("../config.json");
 const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
 const EC = require("elliptic").ec, ec = new EC("secp256k1");
 
@@ -9,17 +13,60 @@ const MINT_PRIVATE_ADDRESS = "00000000000000000000000000000000000000000000000000
 const MINT_KEY_PAIR = ec.keyFromPrivate(MINT_PRIVATE_ADDRESS, "hex");
 const MINT_PUBLIC_ADDRESS = MINT_KEY_PAIR.getPublic("hex");
 
+const BASE_GAS = 1000000000000n; // Minimum gas of a transaction
+
+let chainId = CHAIN_ID; // Chain ID of the network we are on, transactions signed for other networks are invalid
+
+// Transactions sent from a multisig account (see account.js) have a "sender" (the multisig account's address) and a list
+// of "signatures" instead of one "signature". Their sender can not be recovered from a signature, so code that needs
+// the sender's address should use Transaction.getSender.
+
+function recoverPubKey(msgHash, signature) {
+    const sigObj = {
+        r: new BN(signature.r, 16),
+        s: new BN(signature.s, 16),
+        recoveryParam: parseInt(signature.v, 16)
+    };
+    
+    // Recover public key and get real address.
+    const pubKey = ec.recoverPubKey(
+        new BN(msgHash, 16).toString(10),
+        sigObj,
+        ec.getKeyRecoveryParam(msgHash, sigObj, ec.genKeyPair().getPublic())
+    );
+
+    return ec.keyFromPublic(pubKey).getPublic("hex");
+}
+
 class Transaction {
-    constructor(recipient = "", amount = "0", gas = "1000000000000", additionalData = {}, timestamp = Date.now()) {
+    constructor(recipient = "", amount = "0", gas = "1000000000000", additionalData = {}, nonce = 0, _chainId = chainId, timestamp = Date.now()) {
         this.recipient      = recipient;      // Recipient's address (public key)
         this.amount         = amount;         // Amount to be sent
         this.gas            = gas;            // Gas that transaction consumed + tip for miner
         this.additionalData = additionalData; // Additional data that goes into the transaction
+        this.nonce          = nonce;          // Amount of transactions the sender has sent before this one
+        this.chainId        = _chainId;       // Chain ID of the network the transaction is made for
         this.timestamp      = timestamp;      // Creation timestamp (doesn't matter if true or not, just for randomness)
         this.signature      = {};             // Transaction's signature, will be generated later
     }
 
+    static createMultisig(sender, ...args) {
+        // Transaction sent from the multisig account "sender", takes the same arguments as the constructor after it.
+        const tx = new Transaction(...args);
+
+        delete tx.signature;
+
+        tx.sender     = sender; // Multisig account's address
+        tx.signatures = [];     // Signatures of its signers, added by Transaction.sign
+
+        return tx;
+    }
+
     static getHash(tx) {
+        // Transactions are signed over their canonical encoding without the signature (see encoding.js).
+        // Legacy transactions keep the hash they were signed with.
+        if (!Transaction.isLegacy(tx)) return SHA256(encodeUnsignedTransaction(tx));
+
         return SHA256(
             tx.recipient                      +
             tx.amount                         +
@@ -29,47 +76,97 @@ class Transaction {
         )
     }
 
+    static isLegacy(tx) {
+        // Transactions made before nonces and chain IDs were added are protected from replays by their timestamp instead.
+        return typeof tx.nonce === "undefined";
+    }
+
+    static isMultisig(tx) {
+        return typeof tx.sender !== "undefined";
+    }
+
+    static setChainId(newChainId) {
+        chainId = newChainId;
+    }
+
+    static getChainId() {
+        return chainId;
+    }
+
     static sign(transaction, keyPair) {
         const sigObj = keyPair.sign(Transaction.getHash(transaction));
         
-        transaction.signature = {
+        const signature = {
             v: sigObj.recoveryParam.toString(16),
             r: sigObj.r.toString(16),
             s: sigObj.s.toString(16)
         };
+
+        // Signers of a multisig transaction add their signature to the others.
+        if (Transaction.isMultisig(transaction)) {
+            transaction.signatures.push(signature);
+        } else {
+            transaction.signature = signature;
+        }
     }
 
     static getPubKey(tx) {
-        // Get transaction's body's hash and recover original signature object
+        // Get transaction's body's hash and recover the public key that signed it
+        return recoverPubKey(Transaction.getHash(tx), tx.signature);
+    }
+
+    static getSigners(tx) {
+        // Addresses that signed a multisig transaction
         const msgHash = Transaction.getHash(tx);
 
-        const sigObj = {
-            r: new BN(tx.signature.r, 16),
-            s: new BN(tx.signature.s, 16),
-            recoveryParam: parseInt(tx.signature.v, 16)
-        };
-        
-        // Recover public key and get real address.
-        const txSenderPubkey = ec.recoverPubKey(
-            new BN(msgHash, 16).toString(10),
-            sigObj,
-            ec.getKeyRecoveryParam(msgHash, sigObj, ec.genKeyPair().getPublic())
-        );
+        return tx.signatures.map(signature => SHA256(recoverPubKey(msgHash, signature)));
+    }
 
-        return ec.keyFromPublic(txSenderPubkey).getPublic("hex");
+    static getSender(tx) {
+        return Transaction.isMultisig(tx) ? tx.sender : SHA256(Transaction.getPubKey(tx));
     }
 
-    static async isValid(tx, stateDB) {
-        let txSenderPubkey;
+    static isMint(tx) {
+        return !Transaction.isMultisig(tx) && Transaction.getPubKey(tx) === MINT_PUBLIC_ADDRESS;
+    }
+
+    static getCost(tx) {
+        // Everything the sender pays for the transaction, at most, as unused contract gas is refunded.
+        return BigInt(tx.amount) + BigInt(tx.gas) + BigInt(tx.additionalData.contractGas || 0);
+    }
+
+    // A transaction pays "gas" (at least BASE_GAS, anything above is the tip for the miner) and "contractGas" (gas spent
+    // executing contracts, which is also what counts against the block's gas limit). How much of the contract gas gets
+    // used is only known once the transaction runs, so all of it is counted and its gas price is:
+    // tip / gas used = (gas - BASE_GAS) / (BASE_GAS + contractGas)
+
+    static getTip(tx) {
+        return BigInt(tx.gas) - BASE_GAS;
+    }
+
+    static getGasUsed(tx) {
+        return BASE_GAS + BigInt(tx.additionalData.contractGas || 0);
+    }
+
+    static hasHigherGasPrice(txA, txB) {
+        // Prices are fractions, so they are compared by cross multiplying.
+        return Transaction.getTip(txA) * Transaction.getGasUsed(txB) > Transaction.getTip(txB) * Transaction.getGasUsed(txA);
+    }
+
+    static async isValid(tx, stateDB, blockNumber) {
+        // "blockNumber" is the number of the block the transaction is in, it is not given for new transactions.
+        let txSenderAddress, isMint, signers;
         
-        // If recovering public key fails, then transaction is not valid.
+        // If recovering public keys or encoding the transaction fails, then transaction is not valid.
         try {
-            txSenderPubkey = Transaction.getPubKey(tx);
+            txSenderAddress = Transaction.getSender(tx);
+            isMint = Transaction.isMint(tx);
+            signers = Transaction.isMultisig(tx) ? Transaction.getSigners(tx) : [];
+
+            encodeTransaction(tx);
         } catch (e) {
             return false;
         }
-        
-        const txSenderAddress = SHA256(txSenderPubkey);
 
         // If state of sender does not exist, then the transaction is 100% false
         if (!(await stateDB.keys().all()).includes(txSenderAddress)) return false;
@@ -80,9 +177,31 @@ class Transaction {
         // If sender is a contract address, then it's not supposed to be used to send money, so return false if it is.
         if (dataFromSender.body !== "") return false;
 
-        // Get sender's balance and used timestamps
+        // Multisig accounts can only send transactions signed by enough of their signers, and only through them.
+        if (Transaction.isMultisig(tx) !== isMultisigAccount(dataFromSender)) return false;
+
+        if (Transaction.isMultisig(tx)) {
+            const { signers: registeredSigners, threshold } = dataFromSender.multisig;
+
+            if (
+                new Set(signers).size !== signers.length ||
+                !signers.every(signer => registeredSigners.includes(signer)) ||
+                signers.length < threshold
+            ) return false;
+        }
+
+        // A transaction creating a multisig account must send to the address it derives from the sender and nonce.
+        if (typeof tx.additionalData.multisig !== "undefined") {
+            if (
+                isMint ||
+                Transaction.isLegacy(tx) ||
+                !isValidMultisigConfig(tx.additionalData.multisig) ||
+                tx.recipient !== getMultisigAddress(txSenderAddress, tx.nonce)
+            ) return false;
+        }
+
+        // Get sender's balance
         const senderBalance = dataFromSender.balance;
-        const usedTimestamps = dataFromSender.timestamps;
 
         return (
             // Check types from properties first.
@@ -91,6 +210,13 @@ class Transaction {
             typeof tx.gas            === "string" &&
             typeof tx.additionalData === "object" &&
             typeof tx.timestamp      === "number" &&
+            // Transactions without a chain ID could be replayed from other networks, so they are only valid in blocks
+            // that were made before chain IDs were required.
+            (
+                Transaction.isLegacy(tx)
+                    ? typeof blockNumber === "number" && blockNumber < CHAIN_ID_HEIGHT
+                    : Number.isInteger(tx.nonce) && tx.nonce >= 0 && tx.chainId === chainId
+            ) &&
             (
                 typeof tx.additionalData.contractGas === "undefined" ||
                 (
@@ -98,22 +224,40 @@ class Transaction {
                     isNumber(tx.additionalData.contractGas)
                 )
             ) &&
+
+            // Contracts must assemble to be deployed (see assembler.js).
+            (typeof tx.additionalData.scBody !== "string" || getProgramError(tx.additionalData.scBody) === null) &&
             isNumber(tx.amount) &&
             isNumber(tx.gas) &&
 
+            // Amounts must be written the canonical way (no leading zeros), so that they survive being encoded.
+            BigInt(tx.amount).toString() === tx.amount &&
+            BigInt(tx.gas).toString() === tx.gas &&
+
             // Check if balance of sender is enough to fulfill transaction's cost.
             (
                 (
                     BigInt(senderBalance) >= BigInt(tx.amount) + BigInt(tx.gas) + BigInt(tx.additionalData.contractGas || 0) && 
-                    BigInt(tx.gas) >= 1000000000000n
-                ) || txSenderPubkey === MINT_PUBLIC_ADDRESS
+                    BigInt(tx.gas) >= BASE_GAS
+                ) || isMint
             ) &&
 
             BigInt(tx.amount) >= 0 && // Transaction's amount must be at least 0.
             
-            !usedTimestamps.includes(tx.timestamp) && tx.timestamp <= Date.now() // Check timestamp.
+            tx.timestamp <= Date.now() && // Check timestamp.
+
+            // Check replays. The mint key is public, so mint transactions are only limited by block rules.
+            // Transactions with a nonce that is too high are valid, they have to wait for the transactions before them.
+            (
+                isMint ||
+                (
+                    Transaction.isLegacy(tx)
+                        ? isLegacyAccount(dataFromSender) && !dataFromSender.timestamps.includes(tx.timestamp)
+                        : tx.nonce >= getNonce(dataFromSender)
+                )
+            )
         )
     }
 }
 
-module.exports = Transaction;
\ No newline at end of file
+module.exports = Transaction;
@@ -0,0 +1,114 @@
+"use strict";
+
+// Pool of mining workers, one per CPU core by default. Every worker mines the same template in its own nonce range,
+// so no hash is computed twice, and workers are kept alive to take the next template instead of being re-forked.
+
+const { fork } = require("child_process");
+const os = require("os");
+
+const HASHRATE_LOG_INTERVAL = 10000; // Time between hashrate logs
+
+class MinerPool {
+    constructor(size = os.cpus().length) {
+        this.size      = Math.max(1, size); // Amount of workers
+        this.workers   = [];                // Worker processes, forked on the first job
+        this.hashrates = [];                // Latest hashrate reported by each worker (H/s)
+        this.job       = null;              // Current job, null if idle
+        this.jobId     = 0;
+    }
+
+    start() {
+        if (this.workers.length !== 0) return;
+
+        for (let index = 0; index < this.size; index++) {
+            const worker = fork(`${__dirname}/worker.js`);
+
+            worker.on("message", message => this.handleMessage(index, message));
+
+            this.workers.push(worker);
+            this.hashrates.push(0);
+        }
+
+        setInterval(() => {
+            if (this.job) console.log(`LOG :: ${MinerPool.formatHashrate(this.getHashrate())}`);
+        }, HASHRATE_LOG_INTERVAL).unref();
+    }
+
+    mine(block) {
+        // Mine a block, resolves with the mined block or null if the job was replaced or stopped.
+        this.start();
+        this.stop();
+
+        return new Promise(resolve => {
+            const id = ++this.jobId;
+            const rangeSize = Math.floor(Number.MAX_SAFE_INTEGER / this.size);
+
+            this.job = { id, resolve, exhausted: 0 };
+
+            // Give each worker its own nonce range.
+            this.workers.forEach((worker, index) => {
+                worker.send({
+                    type: "MINE",
+                    data: { id, block, from: index * rangeSize, to: (index + 1) * rangeSize - 1 }
+                });
+            });
+        });
+    }
+
+    stop() {
+        // Stop the current job, workers stay alive and wait for the next one.
+        if (!this.job) return;
+
+        const { resolve } = this.job;
+
+        this.job = null;
+
+        for (const worker of this.workers) worker.send({ type: "STOP" });
+
+        resolve(null);
+    }
+
+    handleMessage(index, message) {
+        switch (message.type) {
+            case "HASHRATE":
+                this.hashrates[index] = Math.round(message.data.hashes * 1000 / message.data.time);
+
+                break;
+
+            case "FOUND":
+                // Results from older jobs are dropped.
+                if (!this.job || this.job.id !== message.data.id) return;
+
+                const { resolve } = this.job;
+
+                this.job = null;
+
+                for (const worker of this.workers) worker.send({ type: "STOP" });
+
+                resolve(message.data.block);
+
+                break;
+
+            case "EXHAUSTED":
+                if (!this.job || this.job.id !== message.data.id) return;
+
+                // Every nonce of the template is used, a new template (with a new timestamp) is needed.
+                if (++this.job.exhausted === this.size) this.stop();
+
+                break;
+        }
+    }
+
+    getHashrate() {
+        return {
+            total: this.hashrates.reduce((total, hashrate) => total + hashrate, 0),
+            workers: [ ...this.hashrates ]
+        };
+    }
+
+    static formatHashrate({ total, workers }) {
+        return `Hashrate: ${total} H/s (${workers.map((hashrate, index) => `worker #${index}: ${hashrate} H/s`).join(", ")}).`;
+    }
+}
+
+module.exports = MinerPool;
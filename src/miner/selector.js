@@ -0,0 +1,68 @@
+"use strict";
+
+// Picks the transactions that go into a block template, best paying first.
+// See Transaction.getTip and Transaction.getGasUsed for how the gas price of a transaction is defined.
+
+const Transaction = require("../core/transaction");
+const { BLOCK_GAS_LIMIT } = require("../config.json");
+
+function parseGasPrice(price) {
+    // Gas prices are configured as decimal numbers (e.g. "0.25") and kept as a fraction to avoid rounding.
+    if (!/^\d+(\.\d+)?$/.test(price.toString())) throw new Error(`Invalid gas price "${price}".`);
+
+    const [ whole, fraction = "" ] = price.toString().split(".");
+
+    return { numerator: BigInt(whole + fraction), denominator: 10n ** BigInt(fraction.length) };
+}
+
+function meetsGasPrice(tx, minGasPrice) {
+    return Transaction.getTip(tx) * minGasPrice.denominator >= minGasPrice.numerator * Transaction.getGasUsed(tx);
+}
+
+function selectTransactions(transactionPool, minGasPrice = "0") {
+    const minPrice = parseGasPrice(minGasPrice);
+
+    // Queue up transactions of each sender in the order they came in, so that the order is kept in the block.
+    const queues = new Map();
+
+    for (const tx of transactionPool) {
+        const txSenderAddress = Transaction.getSender(tx);
+
+        if (!queues.has(txSenderAddress)) queues.set(txSenderAddress, []);
+
+        queues.get(txSenderAddress).push(tx);
+    }
+
+    const selected = [];
+    let remainingGas = BigInt(BLOCK_GAS_LIMIT);
+
+    for (;;) {
+        // Take the best paying transaction out of the front of every queue.
+        let bestSender = null;
+
+        for (const [ sender, queue ] of queues) {
+            if (bestSender === null || Transaction.hasHigherGasPrice(queue[0], queues.get(bestSender)[0])) bestSender = sender;
+        }
+
+        if (bestSender === null) break;
+
+        const tx = queues.get(bestSender).shift();
+        const contractGas = BigInt(tx.additionalData.contractGas || 0);
+
+        if (!meetsGasPrice(tx, minPrice) || contractGas > remainingGas) {
+            // The transaction is skipped, and so are the sender's later transactions, as they can not go before it.
+            queues.delete(bestSender);
+
+            continue;
+        }
+
+        selected.push(tx);
+        remainingGas -= contractGas;
+
+        if (queues.get(bestSender).length === 0) queues.delete(bestSender);
+    }
+
+    return selected;
+}
+
+module.exports = { parseGasPrice, selectTransactions };
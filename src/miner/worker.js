@@ -1,28 +1,100 @@
 "use strict";
 
-// Miner worker thread's code.
+// Miner worker process's code, workers stay alive between blocks and mine whatever template they were last given.
 
-const Block = require("../core/block");
-const { log16 } = require("../utils/utils");
+const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
+
+const { encodeHeaderPayload, hashHeader } = require("../core/encoding");
+const { meetsTarget } = require("../consensus/pow");
+const { FORK_HEIGHT } = require("../config.json");
+
+const BATCH_SIZE      = 10000; // Hashes to try before checking for new messages
+const REPORT_INTERVAL = 1000;  // Time between hashrate reports
+
+let job = null;       // Current job, null if idle
+let running = false;  // Whether the mining loop is scheduled or not
+let hashes = 0;       // Hashes done since the last report
 
 // Listening for messages from the main process.
 process.on("message", message => {
-    if (message.type === "MINE") {
-        // When the "MINE" message is received, the thread should be mining by incrementing the nonce value until a preferable hash is met.
+    switch (message.type) {
+        case "MINE":
+            // Start mining a new template in the given nonce range, this replaces the current job.
+            const { id, block, from, to } = message.data;
+
+            // The header is encoded once, the nonce being its last 8 bytes, it is then changed in place for every hash.
+            // Blocks below FORK_HEIGHT are not hashed from their encoding, so they have no encoded header.
+            const header = block.blockNumber < FORK_HEIGHT ? null : encodeHeaderPayload(block);
 
-        const block = message.data[0];
-        const difficulty = message.data[1];
+            block.nonce = from;
+            block.hash = hashBlock(block, header);
 
-        for (;;) {
-            // We will loop until the hash has "5+difficulty" starting zeros.
-            if (block.hash.startsWith("00000" + Array(Math.floor(log16(difficulty)) + 1).join("0"))) {
-                process.send({ result: block });
+            job = { id, block, header, to };
 
-                break;
+            if (!running) {
+                running = true;
+
+                setImmediate(mineBatch);
             }
-            
+
+            break;
+
+        case "STOP":
+            job = null;
+
+            break;
+    }
+});
+
+// Stop when the main process is gone.
+process.on("disconnect", () => process.exit());
+
+function mineBatch() {
+    // Mine in batches so that new templates can be received in between.
+    for (let count = 0; count < BATCH_SIZE && job; count++) {
+        const { id, block, header, to } = job;
+
+        // We will loop until the hash is below the target.
+        if (meetsTarget(block.hash, block.difficulty, block.blockNumber)) {
+            process.send({ type: "FOUND", data: { id, block } });
+
+            job = null;
+        } else if (block.nonce >= to) {
+            // Every nonce in our range is used, the pool will have to wait for other workers or a new template.
+            process.send({ type: "EXHAUSTED", data: { id } });
+
+            job = null;
+        } else {
             block.nonce++;
-            block.hash = Block.getHash(block);
+            block.hash = hashBlock(block, header);
         }
+
+        hashes++;
     }
-});
+
+    if (job) {
+        setImmediate(mineBatch);
+    } else {
+        running = false;
+    }
+}
+
+function hashBlock(block, header) {
+    if (!header) return hashHeader(block);
+
+    writeNonce(header, block.nonce);
+
+    return SHA256(header);
+}
+
+function writeNonce(header, nonce) {
+    // Nonces are safe integers, written as a 64 bits big-endian number.
+    header.writeUInt32BE(Math.floor(nonce / 0x100000000), header.length - 8);
+    header.writeUInt32BE(nonce % 0x100000000, header.length - 4);
+}
+
+setInterval(() => {
+    process.send({ type: "HASHRATE", data: { hashes, time: REPORT_INTERVAL } });
+
+    hashes = 0;
+}, REPORT_INTERVAL);
@@ -1,9 +1,11 @@
 const TYPE = {
     NEW_BLOCK: 0,
     CREATE_TRANSACTION: 1,
-    REQUEST_BLOCK: 2,
-    SEND_BLOCK: 3,
-    HANDSHAKE: 4
+    HANDSHAKE: 4,
+    REQUEST_HEADERS: 5,
+    SEND_HEADERS: 6,
+    REQUEST_BLOCKS: 7,
+    SEND_BLOCKS: 8
 }
 
 module.exports = TYPE;
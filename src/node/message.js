@@ -1,6 +1,59 @@
+const TYPE = require("./message-types");
+const {
+    ENCODING_VERSION,
+    encodeItem, decodeItem, encodeUint, decodeNumber, encodeString, decodeString,
+    valueToItem, itemToValue, transactionToItem, itemToTransaction, headerToItem, itemToHeader, blockToItem, itemToBlock
+} = require("../core/encoding");
+
+// Messages are encoded as [ ENCODING_VERSION, type, data ] (see encoding.js), blocks, headers and transactions use their
+// canonical encoding and other data is encoded as a generic value.
+
+const codecs = {
+    [TYPE.NEW_BLOCK]: { toItem: blockToItem, fromItem: itemToBlock },
+
+    [TYPE.CREATE_TRANSACTION]: { toItem: transactionToItem, fromItem: itemToTransaction },
+
+    [TYPE.SEND_HEADERS]: createBatchCodec("headers", headerToItem, itemToHeader),
+
+    [TYPE.SEND_BLOCKS]: createBatchCodec("blocks", blockToItem, itemToBlock)
+};
+
+const valueCodec = { toItem: valueToItem, fromItem: itemToValue };
+
+function createBatchCodec(key, toItem, fromItem) {
+    // Batches look like { from, [key]: list, address }.
+    return {
+        toItem: data => [ encodeUint(data.from), encodeString(data.address), data[key].map(toItem) ],
+
+        fromItem: item => {
+            if (!Array.isArray(item) || item.length !== 3 || !Array.isArray(item[2])) throw new Error("Unexpected item.");
+
+            return { from: decodeNumber(item[0]), [key]: item[2].map(fromItem), address: decodeString(item[1]) };
+        }
+    };
+}
+
 function produceMessage(type, data) {
-    // Produce a JSON message
-    return JSON.stringify({ type, data });
+    // Produce a binary message
+    const { toItem } = codecs[type] || valueCodec;
+
+    return encodeItem([ encodeUint(ENCODING_VERSION), encodeUint(type), toItem(data) ]);
+}
+
+function parseMessage(message) {
+    // Parse a binary message, invalid messages are parsed as an empty object
+    try {
+        const [ version, typeBytes, data, ...rest ] = decodeItem(Buffer.from(message));
+        const type = decodeNumber(typeBytes);
+
+        if (decodeNumber(version) !== ENCODING_VERSION || rest.length !== 0) return {};
+
+        const { fromItem } = codecs[type] || valueCodec;
+
+        return { type, data: fromItem(data) };
+    } catch (e) {
+        return {};
+    }
 }
 
 function sendMessage(message, nodes) {
@@ -8,4 +61,4 @@ function sendMessage(message, nodes) {
     nodes.forEach(node => node.socket.send(message));
 }
 
-module.exports = { produceMessage, sendMessage };
+module.exports = { produceMessage, parseMessage, sendMessage };
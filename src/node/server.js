@@ -4,19 +4,26 @@ const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256"
 const WS = require("ws");
 const EC = require("elliptic").ec, ec = new EC("secp256k1");
 const { Level } = require('level');
-const { fork } = require("child_process");
 
 const Block = require("../core/block");
 const Transaction = require("../core/transaction");
-const changeState = require("../core/state");
-const { BLOCK_REWARD, BLOCK_GAS_LIMIT } = require("../config.json");
-const { produceMessage, sendMessage } = require("./message");
+const { getForkEntry, queue, applyBlock, addBlock, loadChain } = require("../core/chain");
+const { getPostStateRoot } = require("../core/stateRoot");
+const { simulateCall, estimateGas } = require("../core/simulator");
+const { BLOCK_REWARD, FORK_HEIGHT, CHAIN_ID: DEFAULT_CHAIN_ID } = require("../config.json");
+const { produceMessage, parseMessage, sendMessage } = require("./message");
+const { blockEncoding, forkEntryEncoding, encodeHeaderPayload } = require("../core/encoding");
 const generateGenesisBlock = require("../core/genesis");
-const addTransaction = require("../core/txPool");
+const Mempool = require("../core/mempool");
+const MultisigCollector = require("../core/multisig");
 const rpc = require("../rpc/rpc");
 const TYPE = require("./message-types");
-const { verifyBlock, updateDifficulty } = require("../consensus/consensus");
-const { parseJSON } = require("../utils/utils");
+const { ChainSync, HEADER_BATCH_SIZE, BLOCK_BATCH_SIZE } = require("./sync");
+const { createEngine, setEngine } = require("../consensus/consensus");
+const { getTarget } = require("../consensus/pow");
+const { parseGasPrice, selectTransactions } = require("../miner/selector");
+const { KEYSTORE_DIR, unlockKey } = require("../wallet/keystore");
+const { readPassword } = require("../utils/prompt");
 
 const MINT_PRIVATE_ADDRESS = "0000000000000000000000000000000000000000000000000000000000000001";
 const MINT_KEY_PAIR = ec.keyFromPrivate(MINT_PRIVATE_ADDRESS, "hex");
@@ -25,43 +32,77 @@ const MINT_PUBLIC_ADDRESS = MINT_KEY_PAIR.getPublic("hex");
 const opened    = [];  // Addresses and sockets from connected nodes.
 const connected = [];  // Addresses from connected nodes.
 
-let worker = fork(`${__dirname}/../miner/worker.js`); // Worker thread (for PoW mining).
-let mined = false; // This will be used to inform the node that another node has already mined before it.
+let engine;  // Consensus engine, used to seal blocks.
+let chainId; // Chain ID of our network, peers and transactions from other networks are rejected.
+
+const MAX_WORK_TEMPLATES = 16;        // Max amount of templates kept for external miners
+const workTemplates      = new Map(); // Block templates given to external miners, keyed by work id
+
+const stateDB   = new Level(__dirname + "/../log/stateStore", { valueEncoding: "json" });
+const blockDB   = new Level(__dirname + "/../log/blockStore", { valueEncoding: blockEncoding });
+const forkDB    = new Level(__dirname + "/../log/forkStore", { valueEncoding: forkEntryEncoding });
+const journalDB = new Level(__dirname + "/../log/journalStore", { valueEncoding: "json" });
+const receiptDB = new Level(__dirname + "/../log/receiptStore", { valueEncoding: "json" });
+const indexDB   = new Level(__dirname + "/../log/indexStore", { valueEncoding: "json" });
+
+const stores = { stateDB, blockDB, forkDB, journalDB, receiptDB, indexDB };
+
+const multisigCollector = new MultisigCollector(stateDB, sendTransaction); // Signatures of multisig transactions sent over RPC
 
 const chainInfo = {
-    transactionPool: [],
+    mempool: new Mempool(stateDB),
     latestBlock: generateGenesisBlock(), 
-    latestSyncBlock: null,
-    difficulty: 1
+    difficulty: 1,
+    totalWork: 0n,
+    syncing: false
 };
 
-const stateDB = new Level(__dirname + "/../log/stateStore", { valueEncoding: "json" });
-const blockDB = new Level(__dirname + "/../log/blockStore", { valueEncoding: "json" });
-
 async function startServer(options) {
-    const PORT                 = options.PORT || 3000;                        // Node's PORT
-    const RPC_PORT             = options.RPC_PORT || 5000;                    // RPC server's PORT
-    const PEERS                = options.PEERS || [];                         // Peers to connect to
-    const MY_ADDRESS           = options.MY_ADDRESS || "ws://localhost:3000"; // Node's address
-    const ENABLE_MINING        = options.ENABLE_MINING ? true : false;        // Enable mining?
-    const ENABLE_LOGGING       = options.ENABLE_LOGGING ? true : false;       // Enable logging?
-    const ENABLE_RPC           = options.ENABLE_RPC ? true : false;           // Enable RPC server?
-    let   ENABLE_CHAIN_REQUEST = options.ENABLE_CHAIN_REQUEST ? true : false; // Enable chain sync request?
-
-    const privateKey = options.PRIVATE_KEY || ec.genKeyPair().getPrivate("hex");
+    const PORT           = options.PORT || 3000;                        // Node's PORT
+    const RPC_PORT       = options.RPC_PORT || 5000;                    // RPC server's PORT
+    const PEERS          = options.PEERS || [];                         // Peers to connect to
+    const MY_ADDRESS     = options.MY_ADDRESS || "ws://localhost:3000"; // Node's address
+    const ENABLE_MINING  = options.ENABLE_MINING ? true : false;        // Enable mining?
+    const ENABLE_LOGGING = options.ENABLE_LOGGING ? true : false;       // Enable logging?
+    const ENABLE_RPC     = options.ENABLE_RPC ? true : false;           // Enable RPC server?
+    const CONSENSUS      = options.CONSENSUS || "pow";                  // Consensus engine, "pow" or "authority"
+    const MIN_GAS_PRICE  = options.MIN_GAS_PRICE || "0";                // Minimum tip per unit of gas for transactions we mine
+    const CHAIN_ID       = options.CHAIN_ID || DEFAULT_CHAIN_ID;        // Chain ID of the network we join
+
+    parseGasPrice(MIN_GAS_PRICE); // Fail early on an invalid gas price
+
+    chainId = CHAIN_ID;
+    Transaction.setChainId(CHAIN_ID);
+
+    const privateKey = await getPrivateKey(options);
     const keyPair = ec.keyFromPrivate(privateKey, "hex");
     const publicKey = keyPair.getPublic("hex");
 
+    engine = createEngine(CONSENSUS, {
+        authorities: options.AUTHORITIES || [SHA256(publicKey)], // Addresses allowed to seal blocks, only used by "authority"
+        sealInterval: options.SEAL_INTERVAL || 0,                 // Also seal blocks on this interval (ms), only used by "authority"
+        minerThreads: options.MINER_THREADS,                      // Amount of mining workers, defaults to the CPU count, only used by "pow"
+        keyPair
+    });
+
+    setEngine(engine);
+
     process.on("uncaughtException", err => console.log("LOG ::", err));
 
+    const chainSync = new ChainSync(chainInfo, stores, opened, { myAddress: MY_ADDRESS, enableLogging: ENABLE_LOGGING });
+
     const server = new WS.Server({ port: PORT });
 
     console.log("LOG :: Listening on PORT", PORT);
 
     server.on("connection", async (socket, req) => {
+        let handshaked = false; // Messages are only handled after the peer has shown that it is on our network
+
         // Message handler
         socket.on("message", async message => {
-            const _message = parseJSON(message); // Parse binary message to JSON
+            const _message = parseMessage(message); // Parse binary message
+
+            if (_message.type !== TYPE.HANDSHAKE && !handshaked) return;
 
             switch (_message.type) {
                 // Below are handlers for every message types.
@@ -72,102 +113,47 @@ async function startServer(options) {
 
                     const newBlock = _message.data;
 
-                    // We will only continue checking the block if its parentHash is not the same as the latest block's hash.
-                    // This is because the block sent to us is likely duplicated or from a node that has lost and should be discarded.
-
-                    if (
-                        newBlock.parentHash !== chainInfo.latestBlock.parentHash &&
-                        (!ENABLE_CHAIN_REQUEST || (ENABLE_CHAIN_REQUEST && currentSyncBlock > 1))
-                        // Only proceed if syncing is disabled or enabled but already synced at least the genesis block
-                    ) {
-                        if (await verifyBlock(newBlock, chainInfo, stateDB)) {
+                    // Blocks received while syncing are skipped, they will be requested again as part of the sync.
+                    if (!chainInfo.syncing) {
+                        // The block can either extend our chain, be stored as a side branch or make us switch to a heavier branch.
+                        if (await addBlock(newBlock, chainInfo, stores, ENABLE_LOGGING)) {
                             console.log("LOG :: New block received.");
 
-                            // If mining is enabled, we will set mined to true, informing that another node has mined before us.
-                            if (ENABLE_MINING) {
-                                mined = true;
-
-                                // Stop the worker thread
-                                worker.kill();
-
-                                worker = fork(`${__dirname}/../miner/worker.js`);
-                            }
-
-                            await updateDifficulty(newBlock, chainInfo, blockDB); // Update difficulty
-
-                            await blockDB.put(newBlock.blockNumber.toString(), newBlock); // Add block to chain
-
-                            chainInfo.latestBlock = newBlock; // Update chain info
+                            // Another node has sealed before us, so we stop sealing our block.
+                            engine.abort();
 
-                            await changeState(newBlock, stateDB, ENABLE_LOGGING); // Transist state
+                            await chainInfo.mempool.update(chainInfo.latestBlock);
 
-                            // Update the new transaction pool (remove all the transactions that are no longer valid).
-                            const newTransactionPool = [];
-
-                            for (const tx of chainInfo.transactionPool) {
-                                if (await Transaction.isValid(tx, stateDB)) newTransactionPool.push(tx);
-                            }
-
-                            chainInfo.transactionPool = newTransactionPool;
-
-                            console.log(`LOG :: Block #${newBlock.blockNumber} synced, state transisted.`);
+                            console.log(`LOG :: Block #${chainInfo.latestBlock.blockNumber} synced, state transisted.`);
 
                             sendMessage(produceMessage(TYPE.NEW_BLOCK, newBlock), opened); // Broadcast block to other nodes
-
-                            if (ENABLE_CHAIN_REQUEST) {
-                                ENABLE_CHAIN_REQUEST = false;
-                            }
+                        } else if (
+                            newBlock.blockNumber > chainInfo.latestBlock.blockNumber + 1 &&
+                            !(await getForkEntry(newBlock.parentHash, forkDB))
+                        ) {
+                            // We have fallen behind, so we sync the blocks we have missed.
+                            chainSync.start();
                         }
                     }
 
                     break;
                 
                 case TYPE.CREATE_TRANSACTION:
-                    if (!ENABLE_CHAIN_REQUEST) { // Unsynced nodes should not be able to proceed
+                    if (!chainInfo.syncing) { // Unsynced nodes should not be able to proceed
                         // TYPE.CREATE_TRANSACTION is sent when someone wants to submit a transaction.
                         // Its message body must contain a transaction.
 
-                        // Transactions are added into "chainInfo.transactions", which is the transaction pool.
-                        // To be added, transactions must be valid, and they are valid under these criterias:
-                        // - They are valid based on Transaction.isValid
-                        // - The balance of the sender is enough to make the transaction (based on his transactions in the pool).
-                        // - Its timestamp are not already used.
+                        // Transactions are checked and added by the mempool, after that they must be broadcasted to others since the
+                        // sender might only send them to a few nodes. Transactions we already have are not added again, so they are
+                        // not broadcasted back and forth.
 
                         const transaction = _message.data;
 
-                        if (!(await Transaction.isValid(transaction, stateDB))) break;
-
-                        // Get public key and address from sender
-                        const txSenderPubkey = Transaction.getPubKey(transaction);
-                        const txSenderAddress = SHA256(txSenderPubkey);
-
-                        if (!(await stateDB.keys().all()).includes(txSenderAddress)) break;
-
-                        // After transaction is added, the transaction must be broadcasted to others since the sender might only send it to a few nodes.
-        
-                        // This is pretty much the same as addTransaction, but we will send the transaction to other connected nodes if it's valid.
-
-                        const dataFromSender = await stateDB.get(txSenderAddress); // Fetch sender's state object
-                        const senderBalance = dataFromSender.balance; // Get sender's balance
-                        
-                        let balance = BigInt(senderBalance) - BigInt(transaction.amount) - BigInt(transaction.gas) - BigInt(transaction.additionalData.contractGas || 0);
-        
-                        chainInfo.transactionPool.forEach(tx => {
-                            const _txSenderPubkey = Transaction.getPubKey(tx);
-                            const _txSenderAddress = SHA256(_txSenderPubkey);
-
-                            if (_txSenderAddress === txSenderAddress) {
-                                balance -= BigInt(tx.amount) + BigInt(tx.gas) + BigInt(transaction.additionalData.contractGas || 0);
-                            }
-                        });
-        
-                        if (
-                            balance >= 0 && 
-                            !chainInfo.transactionPool.filter(_tx => SHA256(Transaction.getPubKey(_tx)) === txSenderAddress).some(_tx => _tx.timestamp === transaction.timestamp)
-                        ) {
+                        if (await chainInfo.mempool.add(transaction)) {
                             console.log("LOG :: New transaction received and added to pool.");
-        
-                            chainInfo.transactionPool.push(transaction);
+
+                            engine.onTransaction();
+
                             // Broadcast the transaction
                             sendMessage(produceMessage(TYPE.CREATE_TRANSACTION, transaction), opened);
                         }
@@ -175,113 +161,130 @@ async function startServer(options) {
     
                     break;
 
-                case TYPE.REQUEST_BLOCK:
-                    if (!ENABLE_CHAIN_REQUEST) { // Unsynced nodes should not be able to send blocks
-                        const { blockNumber, requestAddress } = _message.data;
+                case TYPE.REQUEST_HEADERS:
+                    // "TYPE.REQUEST_HEADERS" is sent by syncing nodes.
+                    // Its message body must contain the first block number, the amount of headers and the address of the sender.
 
-                        const socket = opened.find(node => node.address === requestAddress).socket; // Get socket from address
+                    // Headers come from our canonical chain, so we can serve them even while we are syncing ourselves.
+                    if (chainInfo.latestBlock !== null) {
+                        const { from, count, requestAddress } = _message.data;
 
-                        const currentBlockNumber = Math.max(...(await blockDB.keys().all()).map(key => parseInt(key))); // Get latest block number
+                        const peer = opened.find(node => node.address === requestAddress); // Get socket from address
 
-                        if (blockNumber > 0 && blockNumber <= currentBlockNumber) { // Check if block number is valid
-                            const block = await blockDB.get( blockNumber.toString() ); // Get block
+                        if (peer && Number.isInteger(from) && Number.isInteger(count) && from > 0) {
+                            const to = Math.min(from + Math.min(count, HEADER_BATCH_SIZE) - 1, chainInfo.latestBlock.blockNumber);
+                            const blocks = await getBlockRange(from, to);
 
-                            socket.send(produceMessage(TYPE.SEND_BLOCK, block)); // Send block
-                        
-                            console.log(`LOG :: Sent block at position ${blockNumber} to ${requestAddress}.`);
+                            peer.socket.send(produceMessage(TYPE.SEND_HEADERS, { from, headers: blocks.map(Block.getHeader), address: MY_ADDRESS }));
                         }
                     }
-    
+
                     break;
-                
-                case TYPE.SEND_BLOCK:
-                    const block = _message.data;
-
-                    if (ENABLE_CHAIN_REQUEST && currentSyncBlock === block.blockNumber) {
-                        if (
-                            chainInfo.latestSyncBlock === null // If latest synced block is null then we immediately add the block into the chain without verification.
-                            ||                                 // This happens due to the fact that the genesis block can discard every possible set rule ¯\_(ツ)_/¯
-                            await verifyBlock(block, chainInfo, stateDB)
-                        ) {
-                            currentSyncBlock += 1;
 
-                            await blockDB.put(block.blockNumber.toString(), block); // Add block to chain.
-                    
-                            if (!chainInfo.latestSyncBlock) {
-                                chainInfo.latestSyncBlock = block; // Update latest synced block.
-                            }
+                case TYPE.REQUEST_BLOCKS:
+                    // "TYPE.REQUEST_BLOCKS" is sent by syncing nodes.
+                    // Its message body must contain the first and the last block number and the address of the sender.
 
-                            chainInfo.latestBlock = block; // Update latest block.
-            
-                            await changeState(block, stateDB); // Transist state
+                    if (chainInfo.latestBlock !== null) {
+                        const { from, to, requestAddress } = _message.data;
 
-                            await updateDifficulty(block, chainInfo, blockDB); // Update difficulty.
+                        const peer = opened.find(node => node.address === requestAddress); // Get socket from address
 
-                            console.log(`LOG :: Synced block at position ${block.blockNumber}.`);
+                        if (peer && Number.isInteger(from) && Number.isInteger(to) && from > 0 && to >= from) {
+                            const blocks = await getBlockRange(from, Math.min(to, from + BLOCK_BATCH_SIZE - 1));
 
-                            // Continue requesting the next block
-                            for (const node of opened) {
-                                node.socket.send(
-                                    produceMessage(
-                                        TYPE.REQUEST_BLOCK,
-                                        { blockNumber: currentSyncBlock, requestAddress: MY_ADDRESS }
-                                    )
-                                );
+                            peer.socket.send(produceMessage(TYPE.SEND_BLOCKS, { from, blocks, address: MY_ADDRESS }));
 
-                                await new Promise(r => setTimeout(r, 5000)); // Delay for block verification
-                            }
+                            console.log(`LOG :: Sent blocks from position ${from} to ${from + blocks.length - 1} to ${requestAddress}.`);
                         }
                     }
 
                     break;
+
+                case TYPE.SEND_HEADERS:
+                    await chainSync.handleHeaders(_message.data);
+
+                    break;
+
+                case TYPE.SEND_BLOCKS:
+                    await chainSync.handleBlocks(_message.data);
+
+                    break;
                 
                 case TYPE.HANDSHAKE:
-                    const address = _message.data;
+                    // "TYPE.HANDSHAKE" is sent by nodes that have connected to us, with their address or addresses of their peers.
+                    // Its message body must contain an address and the chain ID of the sender.
+
+                    const { address, chainId: peerChainId } = _message.data || {};
+
+                    if (peerChainId !== chainId) {
+                        console.log(`LOG :: Rejected ${address}, it is on chain ID ${peerChainId} instead of ${chainId}.`);
+
+                        socket.close();
+
+                        break;
+                    }
+
+                    handshaked = true;
 
                     connect(MY_ADDRESS, address);
             }
         });
     });
 
-    if (!ENABLE_CHAIN_REQUEST) {
-        if ((await blockDB.keys().all()).length === 0) {
-            await blockDB.put(chainInfo.latestBlock.blockNumber.toString(), chainInfo.latestBlock);
-    
-            await changeState(chainInfo.latestBlock, stateDB);
-        } else {
-            chainInfo.latestBlock = await blockDB.get( Math.max(...(await blockDB.keys().all()).map(key => parseInt(key))).toString() );
-            chainInfo.difficulty = chainInfo.latestBlock.difficulty;
-        }
+    if ((await blockDB.keys().all()).length !== 0) {
+        await loadChain(chainInfo, stores);
+    } else if (PEERS.length === 0) {
+        await applyBlock(chainInfo.latestBlock, chainInfo, stores); // Start a new chain from our own genesis block
+    } else {
+        chainInfo.latestBlock = null; // The genesis block will be synced from peers
     }
 
     PEERS.forEach(peer => connect(MY_ADDRESS, peer)); // Connect to peerss
 
-    // Sync chain
-    let currentSyncBlock = 1;
+    // Sync chain, the node switches to normal operation by itself once it has caught up.
+    if (PEERS.length !== 0) chainSync.start();
+
+    if (ENABLE_MINING) engine.start(chainInfo, () => mine(publicKey, MIN_GAS_PRICE, ENABLE_LOGGING));
+    if (ENABLE_RPC) rpc(RPC_PORT, { publicKey, chainId, mining: ENABLE_MINING, getHashrate: () => engine.getHashrate() }, sendTransaction, {
+        getWork: () => getWork(publicKey, MIN_GAS_PRICE),
+        submitWork: (workId, nonce, timestamp) => submitWork(workId, nonce, timestamp, ENABLE_LOGGING)
+    }, multisigCollector, {
+        // Calls copy the state they run against in the chain's queue, then run outside of it (see simulator.js).
+        call: params => simulateCall(params, getLatestBlockNumber, stateDB, blockDB, journalDB),
+        estimateGas: params => estimateGas(params, getLatestBlockNumber, stateDB, blockDB, journalDB)
+    }, stateDB, blockDB, receiptDB, indexDB);
+}
 
-    if (ENABLE_CHAIN_REQUEST) {
-        const blockNumbers = await blockDB.keys().all();
+// Function to get the number of our latest block, 0 while the genesis block is being synced.
+function getLatestBlockNumber() {
+    return chainInfo.latestBlock ? chainInfo.latestBlock.blockNumber : 0;
+}
 
-        if (blockNumbers.length !== 0) {
-            currentSyncBlock = Math.max(...blockNumbers.map(key => parseInt(key)));
-        }
+// Function to get the node's key: unlocked from the keystore if "ACCOUNT" is set, otherwise "PRIVATE_KEY" (plain text,
+// only meant for development) or a new random key.
+async function getPrivateKey(options) {
+    if (options.ACCOUNT) {
+        // Nodes started without a terminal (e.g. by a service manager or in CI) can not be asked for the password, so
+        // they can take it from the ACCOUNT_PASSWORD environment variable instead.
+        const password = !options.PASSWORD_FILE && !process.stdin.isTTY && typeof process.env.ACCOUNT_PASSWORD === "string"
+            ? process.env.ACCOUNT_PASSWORD
+            : await readPassword(`Password of account ${options.ACCOUNT}: `, options.PASSWORD_FILE);
 
-        setTimeout(async () => {
-            for (const node of opened) {
-                node.socket.send(
-                    produceMessage(
-                        TYPE.REQUEST_BLOCK,
-                        { blockNumber: currentSyncBlock, requestAddress: MY_ADDRESS }
-                    )
-                );
+        const privateKey = await unlockKey(options.ACCOUNT, password, options.KEYSTORE || KEYSTORE_DIR);
 
-                await new Promise(r => setTimeout(r, 5000)); // Delay for block verification
-            }
-        }, 5000);
+        console.log("LOG :: Unlocked account", options.ACCOUNT);
+
+        return privateKey;
     }
 
-    if (ENABLE_MINING) loopMine(publicKey, ENABLE_CHAIN_REQUEST, ENABLE_LOGGING);
-    if (ENABLE_RPC) rpc(RPC_PORT, { publicKey, mining: ENABLE_MINING }, sendTransaction, stateDB, blockDB);
+    if (options.PRIVATE_KEY) {
+        console.log("LOG :: PRIVATE_KEY is stored in plain text, move it to the keystore and use ACCOUNT instead (see README.md).");
+
+        return options.PRIVATE_KEY;
+    }
+
+    return ec.genKeyPair().getPrivate("hex");
 }
 
 // Function to connect to a node.
@@ -291,8 +294,8 @@ function connect(MY_ADDRESS, address) {
 
         // Open a connection to the socket.
         socket.on("open", async () => {
-            for (const _address of [MY_ADDRESS, ...connected]) socket.send(produceMessage(TYPE.HANDSHAKE, _address));
-            for (const node of opened) node.socket.send(produceMessage(TYPE.HANDSHAKE, address));
+            for (const _address of [MY_ADDRESS, ...connected]) socket.send(produceMessage(TYPE.HANDSHAKE, { address: _address, chainId }));
+            for (const node of opened) node.socket.send(produceMessage(TYPE.HANDSHAKE, { address, chainId }));
 
             // If the address already existed in "connected" or "opened", we will not push, preventing duplications.
             if (!opened.find(peer => peer.address === address) && address !== MY_ADDRESS) {
@@ -318,100 +321,150 @@ function connect(MY_ADDRESS, address) {
     return true;
 }
 
-// Function to broadcast a transaction.
-async function sendTransaction(transaction) {
-    sendMessage(produceMessage(TYPE.CREATE_TRANSACTION, transaction), opened);
+// Function to get blocks from our chain within a range of block numbers, stops at the first missing block.
+async function getBlockRange(from, to) {
+    const blockNumbers = [];
 
-    console.log("LOG :: Sent one transaction.");
+    for (let blockNumber = from; blockNumber <= to; blockNumber++) blockNumbers.push(blockNumber.toString());
 
-    await addTransaction(transaction, chainInfo.transactionPool, stateDB);
+    const blocks = await blockDB.getMany(blockNumbers);
+    const missingIndex = blocks.indexOf(undefined);
+
+    return missingIndex === -1 ? blocks : blocks.slice(0, missingIndex);
 }
 
-function mine(publicKey, ENABLE_LOGGING) {
-    function mine(block, difficulty) {
-        return new Promise((resolve, reject) => {
-            worker.addListener("message", message => resolve(message.result));
+// Function to add a transaction to our pool and broadcast it, resolves with true if it was added.
+async function sendTransaction(transaction) {
+    if (!(await chainInfo.mempool.add(transaction))) {
+        console.log("LOG :: Failed to add one transaction to pool.");
 
-            worker.send({ type: "MINE", data: [block, difficulty] }); // Send a message to the worker thread, asking it to mine.
-        });
+        return false;
     }
 
-    // Collect a list of transactions to mine
-    const transactionsToMine = [];
-    let totalContractGas = 0n, totalTxGas = 0n;
+    console.log("LOG :: Added one transaction to pool.");
 
-    for (const tx of chainInfo.transactionPool) {
-        if (totalContractGas + BigInt(tx.additionalData.contractGas || 0) >= BigInt(BLOCK_GAS_LIMIT)) break;
+    sendMessage(produceMessage(TYPE.CREATE_TRANSACTION, transaction), opened);
+
+    console.log("LOG :: Sent one transaction.");
 
-        transactionsToMine.push(tx);
+    engine.onTransaction();
 
-        totalContractGas += BigInt(tx.additionalData.contractGas || 0);
-        totalTxGas += BigInt(tx.gas) + BigInt(tx.additionalData.contractGas || 0);
+    return true;
+}
+
+// Function to build a block template on top of our latest block, with the state root already committed.
+// It reads the chain, so it is run in the chain's queue (see chain.js) to not see a block that is only half applied.
+async function createBlockTemplate(publicKey, MIN_GAS_PRICE) {
+    // Collect a list of transactions to mine, best paying first
+    const transactionsToMine = selectTransactions(chainInfo.mempool.getTransactions(), MIN_GAS_PRICE);
+    let totalTxGas = 0n;
+
+    for (const tx of transactionsToMine) {
+        totalTxGas += BigInt(tx.gas);
     }
 
-    // Mint transaction for miner's reward.
+    // Mint transaction for miner's reward. Contract gas is paid to us when the block is applied, as only the gas
+    // that contracts used is ours (see state.js).
     const rewardTransaction = new Transaction(SHA256(publicKey), (BigInt(BLOCK_REWARD) + totalTxGas).toString());
     Transaction.sign(rewardTransaction, MINT_KEY_PAIR);
 
     // Create a new block.
     const block = new Block(
         chainInfo.latestBlock.blockNumber + 1, 
-        Date.now(), 
+        Math.max(Date.now(), chainInfo.latestBlock.timestamp + 1), 
         [rewardTransaction, ...transactionsToMine], 
         chainInfo.difficulty, 
         chainInfo.latestBlock.hash
     );
 
-    // Mine the block.
-    mine(block, chainInfo.difficulty)
-        .then(async result => {
-            // If the block is not mined before, we will add it to our chain and broadcast this new block.
-            if (!mined) {
-                await updateDifficulty(result, chainInfo, blockDB); // Update difficulty
+    // Commit to the state that the block produces, blocks below FORK_HEIGHT have no state root.
+    if (block.blockNumber >= FORK_HEIGHT) block.stateRoot = await getPostStateRoot(block, stateDB);
+    block.hash = Block.getHash(block);
 
-                await blockDB.put(result.blockNumber.toString(), result); // Add block to chain
+    return block;
+}
 
-                chainInfo.latestBlock = result; // Update chain info
+// Function to build a new block, seal it through the consensus engine and add it to our chain.
+async function mine(publicKey, MIN_GAS_PRICE, ENABLE_LOGGING) {
+    try {
+        const block = await queue(() => createBlockTemplate(publicKey, MIN_GAS_PRICE));
 
-                await changeState(chainInfo.latestBlock, stateDB, ENABLE_LOGGING); // Transist state
+        // Seal the block, we will get null if another node has sealed a block before us.
+        const result = await engine.seal(block);
 
-                // Update the new transaction pool (remove all the transactions that are no longer valid).
-                const newTransactionPool = [];
+        // If the block is sealed, we will add it to our chain and broadcast this new block.
+        if (result && await addBlock(result, chainInfo, stores, ENABLE_LOGGING)) { // Add block to chain and transist state
+            await chainInfo.mempool.update(chainInfo.latestBlock);
 
-                for (const tx of chainInfo.transactionPool) {
-                    if (await Transaction.isValid(tx, stateDB)) newTransactionPool.push(tx);
-                }
-                
-                chainInfo.transactionPool = newTransactionPool;
+            sendMessage(produceMessage(TYPE.NEW_BLOCK, chainInfo.latestBlock), opened); // Broadcast the new block
+
+            console.log(`LOG :: Block #${chainInfo.latestBlock.blockNumber} mined and synced, state transisted.`);
+        }
+    } catch (err) {
+        console.log("LOG ::", err);
+    }
+}
 
-                sendMessage(produceMessage(TYPE.NEW_BLOCK, chainInfo.latestBlock), opened); // Broadcast the new block
+// Function to give a block template to an external miner.
+async function getWork(publicKey, MIN_GAS_PRICE) {
+    if (engine.name !== "pow") throw new Error("Node is not using proof of work.");
 
-                console.log(`LOG :: Block #${chainInfo.latestBlock.blockNumber} mined and synced, state transisted.`);
-            } else {
-                mined = false;
-            }
+    if (chainInfo.syncing) throw new Error("Node is syncing.");
 
-            // Re-create the worker thread
-            worker.kill();
+    // Blocks below FORK_HEIGHT are not hashed from their encoded header, which is what external miners hash.
+    if (getLatestBlockNumber() + 1 < FORK_HEIGHT) throw new Error("Blocks below the fork height can not be mined externally.");
+
+    const block = await queue(() => createBlockTemplate(publicKey, MIN_GAS_PRICE));
+
+    // Templates are identified by their hash before mining, older templates are dropped.
+    workTemplates.set(block.hash, block);
+
+    for (const workId of workTemplates.keys()) {
+        if (workTemplates.size <= MAX_WORK_TEMPLATES) break;
+
+        workTemplates.delete(workId);
+    }
 
-            worker = fork(`${__dirname}/../miner/worker.js`);
-        })
-        .catch(err => console.log(err));
+    return {
+        workId: block.hash,
+        blockNumber: block.blockNumber,
+        timestamp: block.timestamp,
+        txRoot: block.txRoot,
+        difficulty: block.difficulty,
+        parentHash: block.parentHash,
+        stateRoot: block.stateRoot,
+        header: encodeHeaderPayload(block).toString("hex"), // The block hash is the SHA256 of this, its last 8 bytes are the nonce
+        target: getTarget(block.difficulty, block.blockNumber).toString(16).padStart(64, "0")
+    };
 }
 
-// Function to mine continuously
-function loopMine(publicKey, ENABLE_CHAIN_REQUEST, ENABLE_LOGGING, time = 1000) {
-    let length = chainInfo.latestBlock.blockNumber;
-    let mining = true;
+// Function to rebuild a block from a template and a nonce found by an external miner, then add and broadcast it.
+async function submitWork(workId, nonce, timestamp, ENABLE_LOGGING) {
+    const template = workTemplates.get(workId);
 
-    setInterval(() => {
-        if (mining || length !== chainInfo.latestBlock.blockNumber) {
-            mining = false;
-            length = chainInfo.latestBlock.blockNumber;
+    if (!template) throw new Error("Unknown work.");
 
-            if (!ENABLE_CHAIN_REQUEST) mine(publicKey, ENABLE_LOGGING);
-        }
-    }, time);
+    if (template.parentHash !== chainInfo.latestBlock.hash) throw new Error("Work is stale.");
+
+    const block = { ...template, nonce, timestamp: typeof timestamp === "undefined" ? template.timestamp : timestamp };
+
+    block.hash = Block.getHash(block);
+
+    // The block is verified and added like any other block, including its state root if the timestamp has changed.
+    if (!(await addBlock(block, chainInfo, stores, ENABLE_LOGGING))) throw new Error("Invalid block.");
+
+    // Our own workers are mining a stale template now.
+    engine.abort();
+
+    workTemplates.clear();
+
+    await chainInfo.mempool.update(chainInfo.latestBlock);
+
+    sendMessage(produceMessage(TYPE.NEW_BLOCK, block), opened); // Broadcast the new block
+
+    console.log(`LOG :: Block #${block.blockNumber} submitted by an external miner, state transisted.`);
+
+    return { hash: block.hash };
 }
 
 module.exports = { startServer };
\ No newline at end of file
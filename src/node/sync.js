@@ -0,0 +1,298 @@
+"use strict";
+
+// Chain sync, it works in three stages that run side by side:
+// - Headers are requested in ranges from one peer at a time and verified as a chain.
+// - Blocks of verified headers are downloaded in batches from every connected peer in parallel.
+// - Downloaded blocks are verified and applied in order.
+// Syncing always starts from the latest block in our chain, so it resumes from the last verified height after a restart.
+
+const Block = require("../core/block");
+const { getForkEntry, applyBlock, addBlock } = require("../core/chain");
+const { verifyHeader } = require("../consensus/consensus");
+const { produceMessage } = require("./message");
+const TYPE = require("./message-types");
+
+const HEADER_BATCH_SIZE     = 512;   // Max amount of headers in one request
+const BLOCK_BATCH_SIZE      = 32;    // Max amount of blocks in one request
+const MAX_REQUESTS_PER_PEER = 2;     // Max amount of block requests a peer can have at once
+const REQUEST_TIMEOUT       = 10000; // Time before a request is considered lost
+const RETRY_DELAY           = 5000;  // Time to wait before trying again when there are no peers to sync from
+
+class ChainSync {
+    constructor(chainInfo, stores, peers, options = {}) {
+        this.chainInfo     = chainInfo;             // Chain info of the node
+        this.stores        = stores;                // Databases of the node
+        this.peers         = peers;                 // Opened sockets and addresses of connected nodes
+        this.myAddress     = options.myAddress;     // Address that peers reply to
+        this.enableLogging = options.enableLogging; // Enable contract logging?
+        this.active        = false;                 // Whether we are syncing or not
+
+        this.reset();
+    }
+
+    reset() {
+        for (const request of [ this.headerRequest, ...(this.blockRequests || new Map()).values() ]) {
+            if (request) clearTimeout(request.timer);
+        }
+
+        this.headers          = [];        // Verified headers whose blocks are not applied yet, in order
+        this.blocks           = new Map(); // Downloaded blocks waiting to be applied, keyed by block number
+        this.blockRequests    = new Map(); // Block requests waiting for a reply, keyed by their first block number
+        this.retryRanges      = [];        // Block ranges that should be requested again
+        this.headerRequest    = null;      // Header request waiting for a reply
+        this.headersDone      = false;     // Set when a peer has no headers after our last one
+        this.nextHeaderNumber = 1;         // Number of the next header to request
+        this.nextBlockNumber  = 1;         // Number of the next block to request
+        this.applying         = false;
+        this.peerIndex        = 0;
+    }
+
+    start() {
+        if (this.active) return;
+
+        this.active = true;
+        this.chainInfo.syncing = true;
+
+        this.reset();
+
+        this.nextHeaderNumber = this.chainInfo.latestBlock ? this.chainInfo.latestBlock.blockNumber + 1 : 1;
+        this.nextBlockNumber = this.nextHeaderNumber;
+
+        console.log(`LOG :: Syncing chain from block #${this.nextHeaderNumber}.`);
+
+        this.requestHeaders();
+    }
+
+    restart() {
+        this.reset();
+        this.active = false;
+
+        setTimeout(() => this.start(), RETRY_DELAY);
+    }
+
+    finish() {
+        // We can not leave syncing without a genesis block.
+        if (this.chainInfo.latestBlock === null) return this.restart();
+
+        this.reset();
+        this.active = false;
+        this.chainInfo.syncing = false;
+
+        console.log(`LOG :: Chain synced at block #${this.chainInfo.latestBlock.blockNumber}.`);
+    }
+
+    pickPeer() {
+        if (this.peers.length === 0) return null;
+
+        this.peerIndex = (this.peerIndex + 1) % this.peers.length;
+
+        return this.peers[this.peerIndex];
+    }
+
+    requestHeaders() {
+        if (!this.active) return;
+
+        const peer = this.pickPeer();
+
+        if (!peer) {
+            setTimeout(() => {
+                if (!this.headerRequest) this.requestHeaders();
+            }, RETRY_DELAY);
+
+            return;
+        }
+
+        const request = { from: this.nextHeaderNumber, address: peer.address };
+
+        request.timer = setTimeout(() => {
+            if (this.headerRequest !== request) return;
+
+            this.headerRequest = null;
+            this.requestHeaders();
+        }, REQUEST_TIMEOUT);
+
+        this.headerRequest = request;
+
+        peer.socket.send(produceMessage(TYPE.REQUEST_HEADERS, { from: request.from, count: HEADER_BATCH_SIZE, requestAddress: this.myAddress }));
+    }
+
+    async handleHeaders({ from, headers, address }) {
+        const request = this.headerRequest;
+
+        if (!this.active || !request || request.from !== from || request.address !== address || !Array.isArray(headers)) return;
+
+        clearTimeout(request.timer);
+        this.headerRequest = null;
+
+        if (headers.length !== 0 && headers[0].blockNumber !== from) return this.requestHeaders();
+
+        // Find the header that the first header is attached to.
+        let parent = this.headers.length !== 0 ? this.headers[this.headers.length - 1] : null;
+
+        if (headers.length !== 0 && parent === null && from !== 1) {
+            const parentEntry = await getForkEntry(headers[0].parentHash, this.stores.forkDB);
+
+            if (!parentEntry) {
+                // The peer is on a different branch, look for the block where we split further back.
+                this.nextHeaderNumber = Math.max(1, from - HEADER_BATCH_SIZE);
+                this.nextBlockNumber = this.nextHeaderNumber;
+
+                return this.requestHeaders();
+            }
+
+            parent = Block.getHeader(parentEntry.block);
+        }
+
+        if (
+            headers.length !== 0 && from === 1 &&
+            this.chainInfo.latestBlock !== null &&
+            (await this.stores.blockDB.get("1")).hash !== headers[0].hash
+        ) {
+            console.log(`LOG :: ${address} is on a different genesis block.`);
+
+            return this.requestHeaders();
+        }
+
+        for (const header of headers) {
+            // The genesis header can not be verified against anything.
+            if (parent === null ? !Block.hasValidHeaderPropTypes(header) || header.blockNumber !== 1 : !verifyHeader(header, parent)) {
+                console.log(`LOG :: Received invalid headers from ${address}.`);
+
+                return this.requestHeaders();
+            }
+
+            parent = header;
+        }
+
+        this.headers.push(...headers);
+
+        if (headers.length !== 0) this.nextHeaderNumber = headers[headers.length - 1].blockNumber + 1;
+
+        // The peer has sent every header it has.
+        if (headers.length < HEADER_BATCH_SIZE) this.headersDone = true;
+
+        await this.applyBlocks();
+    }
+
+    pump() {
+        if (!this.active) return;
+
+        // Keep requesting headers ahead of the blocks being downloaded.
+        if (!this.headersDone && !this.headerRequest && this.headers.length < HEADER_BATCH_SIZE * 2) this.requestHeaders();
+
+        // Give block requests to every peer that is not busy.
+        for (const peer of this.peers) {
+            while ([ ...this.blockRequests.values() ].filter(request => request.address === peer.address).length < MAX_REQUESTS_PER_PEER) {
+                const range = this.nextRange();
+
+                if (!range) return;
+
+                this.requestBlocks(range, peer);
+            }
+        }
+    }
+
+    nextRange() {
+        if (this.retryRanges.length !== 0) return this.retryRanges.shift();
+
+        if (this.headers.length === 0) return null;
+
+        const lastHeaderNumber = this.headers[this.headers.length - 1].blockNumber;
+
+        if (this.nextBlockNumber > lastHeaderNumber) return null;
+
+        const range = {
+            from: this.nextBlockNumber,
+            to: Math.min(this.nextBlockNumber + BLOCK_BATCH_SIZE - 1, lastHeaderNumber)
+        };
+
+        this.nextBlockNumber = range.to + 1;
+
+        return range;
+    }
+
+    requestBlocks(range, peer) {
+        const request = { from: range.from, to: range.to, address: peer.address };
+
+        request.timer = setTimeout(() => {
+            this.blockRequests.delete(request.from);
+            this.retryRanges.push(range);
+
+            this.pump();
+        }, REQUEST_TIMEOUT);
+
+        this.blockRequests.set(range.from, request);
+
+        peer.socket.send(produceMessage(TYPE.REQUEST_BLOCKS, { from: range.from, to: range.to, requestAddress: this.myAddress }));
+    }
+
+    async handleBlocks({ from, blocks, address }) {
+        const request = this.blockRequests.get(from);
+
+        if (!this.active || !request || request.address !== address) return;
+
+        clearTimeout(request.timer);
+        this.blockRequests.delete(from);
+
+        // Blocks must match the headers that we have verified.
+        const firstHeaderNumber = this.headers.length !== 0 ? this.headers[0].blockNumber : 0;
+
+        if (
+            !Array.isArray(blocks) ||
+            blocks.length !== request.to - request.from + 1 ||
+            !blocks.every((block, index) => {
+                const header = this.headers[request.from + index - firstHeaderNumber];
+
+                return header && Block.hasValidPropTypes(block) && Block.getHash(block) === header.hash;
+            })
+        ) {
+            this.retryRanges.push({ from: request.from, to: request.to });
+
+            return this.pump();
+        }
+
+        for (const block of blocks) this.blocks.set(block.blockNumber, block);
+
+        await this.applyBlocks();
+    }
+
+    async applyBlocks() {
+        if (this.applying) return;
+
+        this.applying = true;
+
+        while (this.headers.length !== 0 && this.blocks.has(this.headers[0].blockNumber)) {
+            const block = this.blocks.get(this.headers[0].blockNumber);
+
+            this.blocks.delete(block.blockNumber);
+
+            if (this.chainInfo.latestBlock === null) {
+                // The genesis block can discard every possible set rule ¯\_(ツ)_/¯, so it is added without verification.
+                await applyBlock(block, this.chainInfo, this.stores);
+            } else if (!(await getForkEntry(block.hash, this.stores.forkDB))) {
+                await addBlock(block, this.chainInfo, this.stores, this.enableLogging);
+
+                // If the block was not stored, it is invalid, so the peers we got it from can not be trusted.
+                if (!(await getForkEntry(block.hash, this.stores.forkDB))) {
+                    console.log(`LOG :: Synced block at position ${block.blockNumber} is invalid, restarting sync.`);
+
+                    this.applying = false;
+
+                    return this.restart();
+                }
+            }
+
+            this.headers.shift();
+
+            console.log(`LOG :: Synced block at position ${block.blockNumber}.`);
+        }
+
+        this.applying = false;
+
+        if (this.headersDone && this.headers.length === 0 && this.blockRequests.size === 0) return this.finish();
+
+        this.pump();
+    }
+}
+
+module.exports = { ChainSync, HEADER_BATCH_SIZE, BLOCK_BATCH_SIZE };
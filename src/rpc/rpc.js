@@ -4,10 +4,29 @@
 
 const fastify = require("fastify")();
 
-function rpc(PORT, client, transactionHandler, stateDB, blockDB) {
+const { getNonce } = require("../core/account");
+const { getTransactionLocation, getAddressTransactions, getLogs } = require("../core/indexer");
+const { getProgramError } = require("../core/assembler");
+
+const MAX_PAGE_SIZE = 100;  // Max amount of transactions in one page of get_transactionsByAddress
+const MAX_LOG_RANGE = 1000; // Max amount of blocks searched by get_logs
+const MAX_LOGS      = 1000; // Max amount of logs returned by get_logs
+
+function rpc(PORT, client, transactionHandler, workHandler, multisigHandler, callHandler, stateDB, blockDB, receiptDB, indexDB) {
 
     process.on("uncaughtException", err => console.log("LOG ::", err));
 
+    async function getIndexedTransaction(hash) {
+        // Find a transaction of the canonical chain through the index, null if it is not found.
+        const location = await getTransactionLocation(hash, indexDB);
+
+        if (!location) return null;
+
+        const block = await blockDB.get(location.blockNumber.toString());
+
+        return { hash, ...location, transaction: block.transactions[location.index] };
+    }
+
     fastify.get("/:option", async (req, reply) => {
 
         function throwError(message, status, payload = null) {
@@ -37,14 +56,19 @@ function rpc(PORT, client, transactionHandler, stateDB, blockDB) {
                 respond({ address: client.publicKey });
 
                 break;
+
+            case "get_chainId":
+                respond({ chainId: client.chainId });
+
+                break;
             
             case "get_work":
-                const latestBlock = await blockDB.get( Math.max(...(await blockDB.keys().all()).map(key => parseInt(key))).toString() );
-
-                respond({
-                    hash: latestBlock.hash, 
-                    nonce: latestBlock.nonce
-                });
+                // Template of the next block for external miners.
+                try {
+                    respond(await workHandler.getWork());
+                } catch (err) {
+                    throwError(err.message, 400);
+                }
                 
                 break;
             
@@ -53,6 +77,11 @@ function rpc(PORT, client, transactionHandler, stateDB, blockDB) {
                 
                 break;
             
+            case "get_hashrate":
+                respond(client.getHashrate());
+                
+                break;
+            
             default:
                 throwError("Invalid option.", 404);
         }
@@ -80,7 +109,7 @@ function rpc(PORT, client, transactionHandler, stateDB, blockDB) {
 
             case "get_blockByHash":
                 if (typeof req.body.params !== "object" || typeof req.body.params.hash !== "string") {
-                    throwError("Invalid request.");
+                    throwError("Invalid request.", 400);
                 } else {
                     const keys = (await blockDB.keys().all());
 
@@ -101,7 +130,7 @@ function rpc(PORT, client, transactionHandler, stateDB, blockDB) {
 
             case "get_blockByNumber":
                 if (typeof req.body.params !== "object" || typeof req.body.params.blockNumber !== "number") {
-                    throwError("Invalid request.");
+                    throwError("Invalid request.", 400);
                 } else {
                     const currentBlockNumber = Math.max(...(await blockDB.keys().all()).map(key => parseInt(key)));
 
@@ -169,6 +198,21 @@ function rpc(PORT, client, transactionHandler, stateDB, blockDB) {
                 }
                 
                 break;
+
+            case "get_nonce":
+                if (
+                    typeof req.body.params !== "object"            ||
+                    typeof req.body.params.address !== "string"
+                ) {
+                    throwError("Invalid request.", 400);
+                } else {
+                    const [ dataFromTarget ] = await stateDB.getMany([ req.body.params.address ]); // Fetch target's state object
+
+                    // Accounts that do not exist yet have not sent any transaction.
+                    respond({ nonce: dataFromTarget ? getNonce(dataFromTarget) : 0 });
+                }
+                
+                break;
            
             case "get_code":
                 if (
@@ -195,7 +239,7 @@ function rpc(PORT, client, transactionHandler, stateDB, blockDB) {
                     throwError("Invalid request.", 400);
                 } else {
                     const dataFromTarget = await stateDB.get(req.body.params.address); // Fetch target's state object
-                    const targetStorage = dataFromTarget.body;                            // Get target's storage object
+                    const targetStorage = dataFromTarget.storage;                         // Get target's storage object
 
                     respond({ storage: targetStorage });
                 }
@@ -256,16 +300,255 @@ function rpc(PORT, client, transactionHandler, stateDB, blockDB) {
 
                 break;
 
+            case "get_transactionByHash":
+                if (
+                    typeof req.body.params !== "object" ||
+                    typeof req.body.params.hash !== "string"
+                ) {
+                    throwError("Invalid request.", 400);
+                } else {
+                    const result = await getIndexedTransaction(req.body.params.hash);
+
+                    if (!result) {
+                        throwError("Invalid transaction hash.", 400);
+                    } else {
+                        respond(result);
+                    }
+                }
+
+                break;
+
+            case "get_transactionsByAddress":
+                // Transactions sent or received by an address, newest first.
+                if (
+                    typeof req.body.params !== "object" ||
+                    typeof req.body.params.address !== "string" ||
+                    !["undefined", "number"].includes(typeof req.body.params.offset) ||
+                    !["undefined", "number"].includes(typeof req.body.params.limit)
+                ) {
+                    throwError("Invalid request.", 400);
+                } else {
+                    const { address, offset = 0, limit = 20 } = req.body.params;
+
+                    if (!Number.isInteger(offset) || !Number.isInteger(limit) || offset < 0 || limit <= 0 || limit > MAX_PAGE_SIZE) {
+                        throwError("Invalid page.", 400);
+                    } else {
+                        // One more transaction is fetched to know if there is another page.
+                        const hashes = await getAddressTransactions(address, offset, limit + 1, indexDB);
+                        const transactions = [];
+
+                        for (const hash of hashes.slice(0, limit)) {
+                            transactions.push(await getIndexedTransaction(hash));
+                        }
+
+                        respond({ transactions, hasMore: hashes.length > limit });
+                    }
+                }
+
+                break;
+
+            case "get_transactionReceipt":
+                if (
+                    typeof req.body.params !== "object" ||
+                    typeof req.body.params.hash !== "string"
+                ) {
+                    throwError("Invalid request.", 400);
+                } else {
+                    const [ receipt ] = await receiptDB.getMany([ req.body.params.hash ]);
+
+                    // Transactions that are not in a canonical block (yet) have no receipt.
+                    if (!receipt) {
+                        throwError("Invalid transaction hash.", 400);
+                    } else {
+                        respond({ receipt });
+                    }
+                }
+
+                break;
+
+            case "get_logs":
+                // Logs of a range of canonical blocks, filtered by contract address and topics.
+                if (
+                    typeof req.body.params !== "object" ||
+                    !["undefined", "number"].includes(typeof req.body.params.fromBlock) ||
+                    !["undefined", "number"].includes(typeof req.body.params.toBlock) ||
+                    !["undefined", "string"].includes(typeof req.body.params.address) ||
+                    !["undefined", "number"].includes(typeof req.body.params.limit) ||
+                    (
+                        typeof req.body.params.topics !== "undefined" &&
+                        !(
+                            Array.isArray(req.body.params.topics) &&
+                            req.body.params.topics.every(topic =>
+                                topic === null ||
+                                typeof topic === "string" ||
+                                (Array.isArray(topic) && topic.every(option => typeof option === "string"))
+                            )
+                        )
+                    )
+                ) {
+                    throwError("Invalid request.", 400);
+                } else {
+                    const latestBlockNumber = Math.max(...(await blockDB.keys().all()).map(key => parseInt(key)));
+                    const {
+                        toBlock = latestBlockNumber,
+                        fromBlock = toBlock,
+                        address = null,
+                        topics = [],
+                        limit = MAX_LOGS
+                    } = req.body.params;
+
+                    if (
+                        !Number.isInteger(fromBlock) || !Number.isInteger(toBlock) ||
+                        fromBlock < 1 || fromBlock > toBlock || toBlock - fromBlock >= MAX_LOG_RANGE
+                    ) {
+                        throwError("Invalid block range.", 400);
+                    } else if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_LOGS) {
+                        throwError("Invalid limit.", 400);
+                    } else {
+                        respond({ logs: await getLogs(fromBlock, toBlock, address, topics, limit, indexDB) });
+                    }
+                }
+
+                break;
+
+            case "call":
+                // Run a contract without sending a transaction, nothing it does is kept.
+                if (
+                    typeof req.body.params !== "object" ||
+                    typeof req.body.params.address !== "string"
+                ) {
+                    throwError("Invalid request.", 400);
+                } else {
+                    try {
+                        respond(await callHandler.call(req.body.params));
+                    } catch (err) {
+                        throwError(err.message, 400);
+                    }
+                }
+
+                break;
+
+            case "estimateGas":
+                if (
+                    typeof req.body.params !== "object" ||
+                    typeof req.body.params.address !== "string"
+                ) {
+                    throwError("Invalid request.", 400);
+                } else {
+                    try {
+                        respond({ contractGas: await callHandler.estimateGas(req.body.params) });
+                    } catch (err) {
+                        throwError(err.message, 400);
+                    }
+                }
+
+                break;
+
             case "sendTransaction":
                 if (
                     typeof req.body.params !== "object" ||
                     typeof req.body.params.transaction !== "object"
                 ) {
                     throwError("Invalid request.", 400);
-                } else {
+                } else if (
+                    typeof req.body.params.transaction.additionalData === "object" &&
+                    typeof req.body.params.transaction.additionalData.scBody === "string" &&
+                    getProgramError(req.body.params.transaction.additionalData.scBody) !== null
+                ) {
+                    // Tell why a contract can not be deployed, rather than dropping its transaction silently.
+                    throwError(`Invalid contract: ${getProgramError(req.body.params.transaction.additionalData.scBody)}`, 400);
+                } else if (await transactionHandler(req.body.params.transaction)) {
                     respond({ message: "tx received." });
+                } else {
+                    // The transaction did not make it into the pool (see mempool.js), so it will not be mined by us.
+                    throwError("Transaction rejected.", 400);
+                }
+
+                break;
 
-                    await transactionHandler(req.body.params.transaction);
+            case "get_multisig":
+                if (
+                    typeof req.body.params !== "object" ||
+                    typeof req.body.params.address !== "string"
+                ) {
+                    throwError("Invalid request.", 400);
+                } else {
+                    const multisig = await multisigHandler.getMultisig(req.body.params.address);
+
+                    if (!multisig) {
+                        throwError("Invalid multisig address.", 400);
+                    } else {
+                        respond(multisig);
+                    }
+                }
+
+                break;
+
+            case "propose_multisigTransaction":
+                // Start collecting signatures of a transaction from a multisig account.
+                if (
+                    typeof req.body.params !== "object" ||
+                    typeof req.body.params.transaction !== "object"
+                ) {
+                    throwError("Invalid request.", 400);
+                } else {
+                    try {
+                        respond(await multisigHandler.propose(req.body.params.transaction));
+                    } catch (err) {
+                        throwError(err.message, 400);
+                    }
+                }
+
+                break;
+
+            case "sign_multisigTransaction":
+                if (
+                    typeof req.body.params !== "object" ||
+                    typeof req.body.params.hash !== "string" ||
+                    typeof req.body.params.signature !== "object"
+                ) {
+                    throwError("Invalid request.", 400);
+                } else {
+                    try {
+                        respond(await multisigHandler.sign(req.body.params.hash, req.body.params.signature));
+                    } catch (err) {
+                        throwError(err.message, 400);
+                    }
+                }
+
+                break;
+
+            case "get_multisigTransaction":
+                if (
+                    typeof req.body.params !== "object" ||
+                    typeof req.body.params.hash !== "string"
+                ) {
+                    throwError("Invalid request.", 400);
+                } else {
+                    const proposal = multisigHandler.getStatus(req.body.params.hash);
+
+                    if (!proposal) {
+                        throwError("Invalid transaction hash.", 400);
+                    } else {
+                        respond(proposal);
+                    }
+                }
+
+                break;
+
+            case "submit_work":
+                if (
+                    typeof req.body.params !== "object" ||
+                    typeof req.body.params.workId !== "string" ||
+                    typeof req.body.params.nonce !== "number"
+                ) {
+                    throwError("Invalid request.", 400);
+                } else {
+                    try {
+                        respond(await workHandler.submitWork(req.body.params.workId, req.body.params.nonce, req.body.params.timestamp));
+                    } catch (err) {
+                        throwError(err.message, 400);
+                    }
                 }
 
                 break;
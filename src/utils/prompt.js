@@ -0,0 +1,55 @@
+"use strict";
+
+// Questions asked on the command line. Passwords typed in a terminal are not echoed, and when stdin is not a terminal
+// (e.g. piped from a file), answers are read from it line by line.
+
+const fs = require("fs/promises");
+const readline = require("readline");
+
+let lines; // Lines of stdin when it is not a terminal, shared by every question
+
+async function readLine() {
+    if (!lines) lines = readline.createInterface({ input: process.stdin, terminal: false })[Symbol.asyncIterator]();
+
+    const { value, done } = await lines.next();
+
+    if (done) throw new Error("Unexpected end of input.");
+
+    return value;
+}
+
+async function ask(question, hidden = false) {
+    if (!process.stdin.isTTY) {
+        process.stdout.write(question);
+
+        const answer = await readLine();
+
+        process.stdout.write("\n");
+
+        return answer;
+    }
+
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+        rl.question(question, answer => {
+            rl.close();
+
+            if (hidden) process.stdout.write("\n");
+
+            resolve(answer);
+        });
+
+        // The question has been written, mute whatever is typed after it.
+        if (hidden) rl._writeToOutput = () => {};
+    });
+}
+
+async function readPassword(question, passwordFile = null) {
+    // Passwords can also be kept in a file (first line), for nodes that start without anyone at the terminal.
+    if (passwordFile) return (await fs.readFile(passwordFile, "utf8")).split(/\r?\n/)[0];
+
+    return await ask(question, true);
+}
+
+module.exports = { ask, readPassword };
@@ -8,16 +8,4 @@ function isNumber(str) {
     return str.split("").every(char => "0123456789".includes(char));
 }
 
-function parseJSON(value) {
-    let parsed;
-    
-    try {
-        parsed = JSON.parse(value);
-    } catch (e) {
-        return {};
-    }
-
-    return parsed;
-}
-
-module.exports = { log16, isNumber, parseJSON };
+module.exports = { log16, isNumber };
@@ -0,0 +1,83 @@
+"use strict";
+
+// Hierarchical deterministic keys (BIP32) derived from a mnemonic (BIP39), so that writing down one mnemonic backs up
+// every account derived from it. Accounts are derived at HD_PATH/<index>, segments ending with "'" are hardened.
+
+const crypto = require("crypto");
+const bip39 = require("bip39");
+const BN = require("bn.js");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const HD_PATH = "m/44'/60'/0'/0"; // Parent path of derived accounts, the same as most secp256k1 wallets
+const HARDENED_OFFSET = 0x80000000;
+
+function generateMnemonic(words = 12) {
+    if (![ 12, 15, 18, 21, 24 ].includes(words)) throw new Error("Mnemonics have 12, 15, 18, 21 or 24 words.");
+
+    return bip39.generateMnemonic(words / 3 * 32);
+}
+
+function isValidMnemonic(mnemonic) {
+    return bip39.validateMnemonic(mnemonic);
+}
+
+function getPath(index) {
+    return `${HD_PATH}/${index}`;
+}
+
+function parsePath(path) {
+    const [ root, ...segments ] = path.split("/");
+
+    if (root !== "m") throw new Error(`Invalid derivation path "${path}".`);
+
+    return segments.map(segment => {
+        const hardened = segment.endsWith("'");
+        const index = hardened ? segment.slice(0, -1) : segment;
+
+        if (!/^\d+$/.test(index) || Number(index) >= HARDENED_OFFSET) throw new Error(`Invalid derivation path "${path}".`);
+
+        return Number(index) + (hardened ? HARDENED_OFFSET : 0);
+    });
+}
+
+function deriveChild(node, index) {
+    // Private parent key to private child key, hardened children are derived from the private key, others from the
+    // compressed public key.
+    const index32 = Buffer.alloc(4);
+
+    index32.writeUInt32BE(index);
+
+    const data = index >= HARDENED_OFFSET
+        ? Buffer.concat([ Buffer.alloc(1), node.key, index32 ])
+        : Buffer.concat([ Buffer.from(ec.keyFromPrivate(node.key).getPublic(true, "array")), index32 ]);
+
+    const I = crypto.createHmac("sha512", node.chainCode).update(data).digest();
+    const IL = new BN(I.subarray(0, 32));
+    const key = IL.add(new BN(node.key)).umod(ec.curve.n);
+
+    // Happens with a probability lower than 1 in 2^127, BIP32 says to go to the next index instead.
+    if (IL.cmp(ec.curve.n) >= 0 || key.isZero()) throw new Error(`Invalid child key at index ${index}.`);
+
+    return { key: key.toArrayLike(Buffer, "be", 32), chainCode: I.subarray(32) };
+}
+
+function deriveKey(seed, path) {
+    // Private key (hex) at "path" from a BIP32 seed.
+    const I = crypto.createHmac("sha512", "Bitcoin seed").update(seed).digest();
+
+    let node = { key: I.subarray(0, 32), chainCode: I.subarray(32) };
+
+    for (const index of parsePath(path)) {
+        node = deriveChild(node, index);
+    }
+
+    return node.key.toString("hex");
+}
+
+function derivePrivateKey(mnemonic, path = getPath(0), passphrase = "") {
+    if (!isValidMnemonic(mnemonic)) throw new Error("Invalid mnemonic.");
+
+    return deriveKey(bip39.mnemonicToSeedSync(mnemonic, passphrase), path);
+}
+
+module.exports = { HD_PATH, generateMnemonic, isValidMnemonic, getPath, deriveKey, derivePrivateKey };
@@ -0,0 +1,167 @@
+"use strict";
+
+// Keys are kept encrypted at rest in a keystore directory, one file per account named "<address>.json":
+// {
+//     version: 1,
+//     address, // SHA256 of the public key
+//     path,    // HD derivation path if the key was derived from a mnemonic (see hd.js), null otherwise
+//     crypto: {
+//         cipher: "aes-256-gcm", ciphertext, iv, tag,
+//         kdf: "scrypt" | "pbkdf2",
+//         kdfparams: { salt, dklen, n, r, p } for scrypt, { salt, dklen, c, prf: "sha256" } for pbkdf2
+//     }
+// }
+// The AES key is derived from a password with the kdf, and the GCM tag tells when the password is wrong.
+
+const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
+const fs = require("fs/promises");
+const path = require("path");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const KEYSTORE_VERSION = 1;
+const KEYSTORE_DIR     = path.join(__dirname, "../../keystore"); // Default keystore directory
+
+const SCRYPT_PARAMS     = { n: 131072, r: 8, p: 1 }; // Takes about 128MB of memory and a second to derive
+const PBKDF2_ITERATIONS = 262144;
+
+function getAddress(privateKey) {
+    return SHA256(ec.keyFromPrivate(privateKey, "hex").getPublic("hex"));
+}
+
+function isValidPrivateKey(privateKey) {
+    if (typeof privateKey !== "string" || !/^[0-9a-f]{64}$/.test(privateKey)) return false;
+
+    const key = BigInt("0x" + privateKey);
+
+    return key > 0n && key < BigInt("0x" + ec.curve.n.toString(16));
+}
+
+function deriveKey(password, kdf, params) {
+    const salt = Buffer.from(params.salt, "hex");
+
+    return new Promise((resolve, reject) => {
+        const callback = (err, key) => err ? reject(err) : resolve(key);
+
+        if (kdf === "scrypt") {
+            crypto.scrypt(password, salt, params.dklen, { N: params.n, r: params.r, p: params.p, maxmem: 256 * 1024 * 1024 }, callback);
+        } else if (kdf === "pbkdf2" && params.prf === "sha256") {
+            crypto.pbkdf2(password, salt, params.c, params.dklen, "sha256", callback);
+        } else {
+            reject(new Error(`Unsupported key derivation function "${kdf}".`));
+        }
+    });
+}
+
+async function encryptKey(privateKey, password, hdPath = null, kdf = "scrypt") {
+    if (!isValidPrivateKey(privateKey)) throw new Error("Invalid private key.");
+
+    const salt = crypto.randomBytes(32).toString("hex");
+    const kdfparams = kdf === "pbkdf2"
+        ? { salt, dklen: 32, c: PBKDF2_ITERATIONS, prf: "sha256" }
+        : { salt, dklen: 32, ...SCRYPT_PARAMS };
+
+    const key = await deriveKey(password, kdf, kdfparams);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const ciphertext = Buffer.concat([ cipher.update(Buffer.from(privateKey, "hex")), cipher.final() ]);
+
+    return {
+        version: KEYSTORE_VERSION,
+        address: getAddress(privateKey),
+        path: hdPath,
+        crypto: {
+            cipher: "aes-256-gcm",
+            ciphertext: ciphertext.toString("hex"),
+            iv: iv.toString("hex"),
+            tag: cipher.getAuthTag().toString("hex"),
+            kdf,
+            kdfparams
+        }
+    };
+}
+
+async function decryptKey(keystore, password) {
+    if (keystore.version !== KEYSTORE_VERSION || keystore.crypto.cipher !== "aes-256-gcm") {
+        throw new Error("Unsupported keystore file.");
+    }
+
+    const key = await deriveKey(password, keystore.crypto.kdf, keystore.crypto.kdfparams);
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(keystore.crypto.iv, "hex"));
+
+    decipher.setAuthTag(Buffer.from(keystore.crypto.tag, "hex"));
+
+    let privateKey;
+
+    try {
+        privateKey = Buffer.concat([ decipher.update(Buffer.from(keystore.crypto.ciphertext, "hex")), decipher.final() ]).toString("hex");
+    } catch (e) {
+        throw new Error("Wrong password.");
+    }
+
+    if (getAddress(privateKey) !== keystore.address) throw new Error("Keystore file does not match its address.");
+
+    return privateKey;
+}
+
+function getKeyFile(address, dir) {
+    if (!/^[0-9a-f]{64}$/.test(address)) throw new Error(`Invalid address "${address}".`);
+
+    return path.join(dir, `${address}.json`);
+}
+
+async function saveKey(keystore, dir = KEYSTORE_DIR) {
+    await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+
+    try {
+        // Only the owner can read key files, and existing accounts are never overwritten.
+        await fs.writeFile(getKeyFile(keystore.address, dir), JSON.stringify(keystore, null, 4), { mode: 0o600, flag: "wx" });
+    } catch (e) {
+        if (e.code === "EEXIST") throw new Error(`Account ${keystore.address} is already in the keystore.`);
+
+        throw e;
+    }
+}
+
+async function loadKey(address, dir = KEYSTORE_DIR) {
+    try {
+        return JSON.parse(await fs.readFile(getKeyFile(address, dir), "utf8"));
+    } catch (e) {
+        if (e.code === "ENOENT") throw new Error(`Account ${address} is not in the keystore.`);
+
+        throw e;
+    }
+}
+
+async function listKeys(dir = KEYSTORE_DIR) {
+    // Accounts of the keystore as { address, path }, an empty list if there is no keystore yet.
+    let files;
+
+    try {
+        files = await fs.readdir(dir);
+    } catch (e) {
+        if (e.code === "ENOENT") return [];
+
+        throw e;
+    }
+
+    const accounts = [];
+
+    for (const file of files.filter(file => /^[0-9a-f]{64}\.json$/.test(file)).sort()) {
+        const keystore = await loadKey(file.slice(0, 64), dir);
+
+        accounts.push({ address: keystore.address, path: keystore.path });
+    }
+
+    return accounts;
+}
+
+async function unlockKey(address, password, dir = KEYSTORE_DIR) {
+    return await decryptKey(await loadKey(address, dir), password);
+}
+
+module.exports = {
+    KEYSTORE_DIR,
+    getAddress, isValidPrivateKey,
+    encryptKey, decryptKey,
+    saveKey, loadKey, listKeys, unlockKey
+};
@@ -0,0 +1,77 @@
+"use strict";
+
+// Static checks of contract sources (see assembler.js). Run with "npm test".
+
+const test = require("node:test");
+const assert = require("node:assert");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const Transaction = require("../src/core/transaction");
+const { createAccount } = require("../src/core/account");
+const { assemble, getProgramError, setProgram, getProgram } = require("../src/core/assembler");
+const { getAddress, openStores, createTransfer } = require("./helpers");
+
+const keyPair = ec.keyFromPrivate("1111111111111111111111111111111111111111111111111111111111111111", "hex");
+
+test("valid sources are assembled with their labels and lines", () => {
+    const program = assemble("set i, 0\n\n\tlabel loop\nadd i, 1\nlss c, $i\njump $c, loop\n");
+
+    assert.deepStrictEqual(program, {
+        instructions: [
+            { command: "set", args: [ "i", "0" ], line: 1 },
+            { command: "label", args: [ "loop" ], line: 3 },
+            { command: "add", args: [ "i", "1" ], line: 4 },
+            { command: "lss", args: [ "c", "$i" ], line: 5 },
+            { command: "jump", args: [ "$c", "loop" ], line: 6 }
+        ],
+        labels: { loop: 1 }
+    });
+
+    // Labels in variables and arguments are only checked when the contract runs.
+    assert.strictEqual(getProgramError("jump 1, $next\njump 1, %0"), null);
+});
+
+test("invalid sources tell what is wrong and where", () => {
+    const errors = {
+        "set a, 1\nfoo a":               "Line 2: Invalid instruction \"foo\".",
+        "set a":                         "Line 1: \"set\" takes 2 arguments, got 1.",
+        "revert a, b":                   "Line 1: \"revert\" takes 0 to 1 arguments, got 2.",
+        "call r, abc, 0":                "Line 1: \"call\" takes at least 4 arguments, got 3.",
+        "emit a, 1, 2, 3, 4, 5":         "Line 1: \"emit\" takes 1 to 5 arguments, got 6.",
+        "label a\nset b, 1\nlabel a":    "Line 3: Duplicate label \"a\".",
+        "set a, 1\njump 1, missing":     "Line 2: Label \"missing\" does not exist."
+    };
+
+    for (const [ source, message ] of Object.entries(errors)) {
+        assert.throws(() => assemble(source), { message }, source);
+        assert.strictEqual(getProgramError(source), message, source);
+    }
+});
+
+test("accounts keep the program of a valid body only", () => {
+    const account = setProgram({ ...createAccount(), body: "set a, 1" });
+
+    assert.deepStrictEqual(account.program, assemble("set a, 1"));
+    assert.strictEqual(getProgram(account), account.program);
+
+    // Contracts deployed before the assembler existed can be invalid, they get no program and fail when they run.
+    const legacy = setProgram({ ...createAccount(), body: "foo" });
+
+    assert.strictEqual(typeof legacy.program, "undefined");
+    assert.throws(() => getProgram(legacy), { message: "Line 1: Invalid instruction \"foo\"." });
+
+    assert.deepStrictEqual(getProgram({ ...createAccount(), body: "set a, 1" }), assemble("set a, 1"));
+});
+
+test("transactions deploying an invalid contract are invalid", async t => {
+    const { stores, close } = await openStores();
+
+    t.after(close);
+
+    await stores.stateDB.put(getAddress(keyPair), createAccount("10000000000000"));
+
+    const deploy = body => createTransfer(keyPair, "", 0, 0, { additionalData: { scBody: body } });
+
+    assert.strictEqual(await Transaction.isValid(deploy("set a, 1\nstore n, $a"), stores.stateDB), true);
+    assert.strictEqual(await Transaction.isValid(deploy("set a, 1\njump 1, nowhere"), stores.stateDB), false);
+});
@@ -0,0 +1,108 @@
+"use strict";
+
+// Fork choice and reorganizations (see chain.js). Run with "npm test".
+
+const test = require("node:test");
+const assert = require("node:assert");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const Transaction = require("../src/core/transaction");
+const { applyBlock, addBlock, getForkEntry } = require("../src/core/chain");
+const { getStateRoot } = require("../src/core/stateRoot");
+const { getAddress, createTransfer, createBlock, createChain } = require("./helpers");
+
+const keyPair = ec.keyFromPrivate("1111111111111111111111111111111111111111111111111111111111111111", "hex");
+const recipient = "ab".repeat(32);
+
+async function addBlocks(blocks, chainInfo, stores) {
+    // Resolves with what addBlock resolved with for each block.
+    const results = [];
+
+    for (const block of blocks) {
+        results.push(await addBlock(block, chainInfo, stores));
+    }
+
+    return results;
+}
+
+async function createForks(chainInfo, stores, genesis) {
+    // Our branch holds a transfer in its first block, the other branch has one more block and no transfers.
+    const tx = createTransfer(keyPair, recipient, 100, 0);
+    const a2 = createBlock(genesis, [ tx ]);
+    const a3 = createBlock(a2);
+
+    const b2 = createBlock(genesis, [], "cd".repeat(32));
+    const b3 = createBlock(b2, [], "cd".repeat(32));
+    const b4 = createBlock(b3, [], "cd".repeat(32));
+
+    assert.deepStrictEqual(await addBlocks([ a2, a3 ], chainInfo, stores), [ true, true ]);
+
+    return { tx, a2, a3, b2, b3, b4 };
+}
+
+test("a branch with more work replaces our chain", async t => {
+    const { chainInfo, stores, genesis, close } = await createChain(keyPair);
+
+    t.after(close);
+
+    const { tx, b2, b3, b4 } = await createForks(chainInfo, stores, genesis);
+
+    assert.deepStrictEqual(await addBlocks([ b2, b3, b4 ], chainInfo, stores), [ false, false, true ]);
+
+    assert.strictEqual(chainInfo.latestBlock.hash, b4.hash);
+    assert.strictEqual(chainInfo.totalWork, 4n);
+    assert.deepStrictEqual((await stores.blockDB.values().all()).map(block => block.hash), [ genesis.hash, b2.hash, b3.hash, b4.hash ]);
+
+    // The transfer of the dropped branch is undone and goes back to the pool.
+    assert.deepStrictEqual(await stores.stateDB.getMany([ recipient ]), [ undefined ]);
+    assert.strictEqual((await stores.stateDB.get(getAddress(keyPair))).nonce, 0);
+    assert.deepStrictEqual(chainInfo.mempool.getTransactions().map(poolTx => Transaction.getHash(poolTx)), [ Transaction.getHash(tx) ]);
+
+    // The state is the same as on a node that has only seen the new branch.
+    const other = await createChain(keyPair);
+
+    t.after(other.close);
+
+    for (const block of [ b2, b3, b4 ]) {
+        await applyBlock(block, other.chainInfo, other.stores);
+    }
+
+    assert.strictEqual(await getStateRoot(stores.stateDB), await getStateRoot(other.stores.stateDB));
+});
+
+test("ties keep the branch seen first", async t => {
+    const { chainInfo, stores, genesis, close } = await createChain(keyPair);
+
+    t.after(close);
+
+    const { a3, b2, b3 } = await createForks(chainInfo, stores, genesis);
+    const stateRoot = await getStateRoot(stores.stateDB);
+
+    assert.deepStrictEqual(await addBlocks([ b2, b3 ], chainInfo, stores), [ false, false ]);
+
+    assert.strictEqual(chainInfo.latestBlock.hash, a3.hash);
+    assert.strictEqual(await getStateRoot(stores.stateDB), stateRoot);
+
+    // Side branch blocks are kept, so that the branch can still win later.
+    assert.notStrictEqual(await getForkEntry(b3.hash, stores.forkDB), null);
+});
+
+test("an invalid block in the new branch restores our chain", async t => {
+    const { chainInfo, stores, genesis, close } = await createChain(keyPair);
+
+    t.after(close);
+
+    const { a2, a3, b2, b3 } = await createForks(chainInfo, stores, genesis);
+    const stateRoot = await getStateRoot(stores.stateDB);
+
+    // Its header is valid, but its transfer spends more than the sender has, which is only found when it is applied.
+    const b4 = createBlock(b3, [ createTransfer(keyPair, recipient, "1" + "0".repeat(40), 0) ], "cd".repeat(32));
+
+    assert.deepStrictEqual(await addBlocks([ b2, b3, b4 ], chainInfo, stores), [ false, false, false ]);
+
+    assert.strictEqual(chainInfo.latestBlock.hash, a3.hash);
+    assert.strictEqual(chainInfo.totalWork, 3n);
+    assert.strictEqual((await stores.blockDB.get("2")).hash, a2.hash);
+    assert.strictEqual(await getStateRoot(stores.stateDB), stateRoot);
+    assert.strictEqual(await getForkEntry(b4.hash, stores.forkDB), null);
+});
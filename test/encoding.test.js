@@ -0,0 +1,145 @@
+"use strict";
+
+// Checks the encoding against the test vectors in ENCODING.md, the vectors are read from the document itself so that it
+// can not drift away from the code. Run with "npm test".
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const Transaction = require("../src/core/transaction");
+const Block = require("../src/core/block");
+const {
+    encodeItem, decodeItem, encodeUint, encodeString, valueToItem, itemToValue,
+    encodeTransaction, encodeUnsignedTransaction, decodeTransaction,
+    encodeHeaderPayload, encodeHeader, decodeHeader, encodeBlock, decodeBlock
+} = require("../src/core/encoding");
+
+const doc = fs.readFileSync(__dirname + "/../ENCODING.md", "utf8").split("### Test vectors")[1];
+
+const keyPair = ec.keyFromPrivate("1111111111111111111111111111111111111111111111111111111111111111", "hex");
+const mintKeyPair = ec.keyFromPrivate("0000000000000000000000000000000000000000000000000000000000000001", "hex");
+
+// Items of the values in the vectors table, by how they are written in its first column.
+const VALUES = {
+    "`0`":                                                          encodeUint(0),
+    "`15`":                                                         encodeUint(15),
+    "`128`":                                                        encodeUint(128),
+    "`1000`":                                                       encodeUint(1000),
+    "`\"1000000000000\"` (amount)":                                 encodeUint("1000000000000"),
+    "`\"dog\"` (string)":                                           encodeString("dog"),
+    "`[]`":                                                         [],
+    "`{ contractGas: \"5\", args: [\"1\", 2], ok: true, none: null }`": valueToItem({ contractGas: "5", args: [ "1", 2 ], ok: true, none: null })
+};
+
+function getJSONBlocks() {
+    // JSON code blocks of the vectors section, in order.
+    const blocks = [];
+    let start = doc.indexOf("```json\n");
+
+    while (start !== -1) {
+        const end = doc.indexOf("\n```", start + 8);
+
+        blocks.push(JSON.parse(doc.slice(start + 8, end)));
+
+        start = doc.indexOf("```json\n", end + 4);
+    }
+
+    return blocks;
+}
+
+function getBullet(name, from) {
+    // Hex of the "* <name>: `<hex>`" bullet that comes first after "from".
+    const match = doc.slice(doc.indexOf(from)).match(new RegExp(`\\* ${name}: \`([0-9a-f]+)\``));
+
+    return match[1];
+}
+
+const hex = buffer => buffer.toString("hex");
+const [ txJSON, mintJSON, headerJSON ] = getJSONBlocks();
+
+test("values in the vectors table", () => {
+    const rows = doc.split("\n")
+        .filter(line => line.startsWith("| `"))
+        .map(line => line.split("|").slice(1, -1).map(cell => cell.trim()));
+
+    assert.strictEqual(rows.length, Object.keys(VALUES).length);
+
+    for (const [ value, encoding ] of rows) {
+        assert.ok(Object.hasOwn(VALUES, value), `No item for ${value}.`);
+        assert.strictEqual(hex(encodeItem(VALUES[value])), encoding.replace(/`/g, ""), value);
+        assert.deepStrictEqual(decodeItem(Buffer.from(encoding.replace(/`/g, ""), "hex")), VALUES[value], value);
+    }
+
+    assert.deepStrictEqual(itemToValue(VALUES["`{ contractGas: \"5\", args: [\"1\", 2], ok: true, none: null }`"]), {
+        contractGas: "5", args: [ "1", 2 ], ok: true, none: null
+    });
+});
+
+test("transaction vector", () => {
+    const tx = new Transaction(txJSON.recipient, txJSON.amount, txJSON.gas, txJSON.additionalData, txJSON.nonce, txJSON.chainId, txJSON.timestamp);
+
+    assert.strictEqual(hex(encodeUnsignedTransaction(tx)), getBullet("Without signature", "Transaction:"));
+    assert.strictEqual(Transaction.getHash(tx), getBullet("Hash", "Transaction:"));
+
+    // Signatures are deterministic, so signing again gives the signature in the document.
+    Transaction.sign(tx, keyPair);
+
+    assert.deepStrictEqual(tx, Object.assign(Object.create(Transaction.prototype), txJSON));
+    assert.strictEqual(hex(encodeTransaction(tx)), getBullet("With signature", "Transaction:"));
+});
+
+test("transaction round trip", () => {
+    const encoded = encodeTransaction(txJSON);
+
+    assert.deepStrictEqual(decodeTransaction(encoded), txJSON);
+    assert.strictEqual(hex(encodeTransaction(decodeTransaction(encoded))), hex(encoded));
+
+    const legacy = { ...txJSON };
+
+    delete legacy.nonce;
+    delete legacy.chainId;
+
+    assert.deepStrictEqual(decodeTransaction(encodeTransaction(legacy)), legacy);
+
+    const multisig = Transaction.createMultisig("cd".repeat(32), txJSON.recipient, txJSON.amount, txJSON.gas, { contractGas: "5" }, 3, 1, txJSON.timestamp);
+
+    Transaction.sign(multisig, keyPair);
+    Transaction.sign(multisig, mintKeyPair);
+
+    assert.deepStrictEqual(decodeTransaction(encodeTransaction(multisig)), JSON.parse(JSON.stringify(multisig)));
+});
+
+test("block vector", () => {
+    const mint = new Transaction(mintJSON.recipient, mintJSON.amount, mintJSON.gas, mintJSON.additionalData, mintJSON.nonce, mintJSON.chainId, mintJSON.timestamp);
+
+    Transaction.sign(mint, mintKeyPair);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(mint)), mintJSON);
+
+    const block = new Block(headerJSON.blockNumber, headerJSON.timestamp, [ mintJSON, txJSON ], headerJSON.difficulty, headerJSON.parentHash, headerJSON.stateRoot);
+
+    block.nonce = headerJSON.nonce;
+    block.hash = Block.getHash(block);
+
+    assert.strictEqual(block.txRoot, headerJSON.txRoot);
+    assert.strictEqual(hex(encodeHeaderPayload(block)), getBullet("Header payload", "Block,"));
+    assert.strictEqual(block.hash, getBullet("Hash", "Block,"));
+    assert.strictEqual(block.hash, headerJSON.hash);
+    assert.strictEqual(hex(encodeBlock(block)), getBullet("Block", "* Hash: `" + headerJSON.hash));
+});
+
+test("header and block round trip", () => {
+    const block = { ...headerJSON, transactions: [ mintJSON, txJSON ] };
+    const encodedBlock = encodeBlock(block);
+
+    assert.deepStrictEqual(decodeBlock(encodedBlock), block);
+    assert.strictEqual(hex(encodeBlock(decodeBlock(encodedBlock))), hex(encodedBlock));
+    assert.deepStrictEqual(decodeHeader(encodeHeader(headerJSON)), headerJSON);
+
+    // Blocks sealed by the "authority" engine carry their signature as the seal.
+    const signed = { ...block, signature: { v: "1", r: "ab".repeat(32), s: "cd".repeat(32) } };
+
+    assert.deepStrictEqual(decodeBlock(encodeBlock(signed)), signed);
+});
@@ -0,0 +1,108 @@
+"use strict";
+
+// Contract gas refunds and the miner's share of it (see state.js and gas.js). Run with "npm test".
+
+const test = require("node:test");
+const assert = require("node:assert");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const Transaction = require("../src/core/transaction");
+const { addBlock } = require("../src/core/chain");
+const { GAS_COSTS, BASE_COST } = require("../src/core/gas");
+const { getAddress, createTransfer, createBlock, createChain } = require("./helpers");
+
+const keyPair = ec.keyFromPrivate("1111111111111111111111111111111111111111111111111111111111111111", "hex");
+const contractKeyPair = ec.keyFromPrivate("2222222222222222222222222222222222222222222222222222222222222222", "hex");
+const contractAddress = getAddress(contractKeyPair);
+const coinbase = "cd".repeat(32);
+
+const COUNTER = "pull c, n\nadd c, 1\nstore n, $c";
+const COUNTER_GAS = GAS_COSTS.pull + BASE_COST + GAS_COSTS.store;
+
+async function createCounterChain(t) {
+    // Chain with the counter contract deployed.
+    const chain = await createChain(keyPair);
+
+    t.after(chain.close);
+
+    const b2 = createBlock(chain.genesis, [ createTransfer(keyPair, contractAddress, "100000000000000", 0) ]);
+    const b3 = createBlock(b2, [ createTransfer(contractKeyPair, "", 0, 0, { additionalData: { scBody: COUNTER } }) ]);
+
+    assert.strictEqual(await addBlock(b2, chain.chainInfo, chain.stores), true);
+    assert.strictEqual(await addBlock(b3, chain.chainInfo, chain.stores), true);
+
+    return chain;
+}
+
+async function getBalances(stateDB) {
+    // Balances of the sender, the contract and the miner, 0 for accounts that do not exist yet.
+    const accounts = await stateDB.getMany([ getAddress(keyPair), contractAddress, coinbase ]);
+
+    return accounts.map(account => account ? BigInt(account.balance) : 0n);
+}
+
+async function callCounter(chain, contractGas, nonce) {
+    // Call the counter in a block mined by "coinbase", resolves with the call's receipt.
+    const { chainInfo, stores } = chain;
+    const tx = createTransfer(keyPair, contractAddress, 5, nonce, { additionalData: { contractGas: contractGas.toString() } });
+
+    assert.strictEqual(await addBlock(createBlock(chainInfo.latestBlock, [ tx ], coinbase), chainInfo, stores), true);
+
+    return await stores.receiptDB.get(Transaction.getHash(tx));
+}
+
+test("unused contract gas is refunded and used gas goes to the miner", async t => {
+    const chain = await createCounterChain(t);
+    const [ senderBefore, contractBefore, coinbaseBefore ] = await getBalances(chain.stores.stateDB);
+
+    const receipt = await callCounter(chain, 10000000000n, 1);
+    const [ senderAfter, contractAfter, coinbaseAfter ] = await getBalances(chain.stores.stateDB);
+
+    assert.strictEqual(receipt.status, 1);
+    assert.strictEqual(receipt.gasUsed, COUNTER_GAS.toString());
+
+    // The sender pays the amount, the transaction's gas and the contract gas that was used.
+    assert.strictEqual(senderBefore - senderAfter, 5n + 1000000000000n + COUNTER_GAS);
+    assert.strictEqual(contractAfter - contractBefore, 5n);
+
+    // The miner gets the reward and the transaction's gas through the mint transaction, and the used contract gas.
+    const mint = (await chain.stores.blockDB.get(chain.chainInfo.latestBlock.blockNumber.toString())).transactions[0];
+
+    assert.strictEqual(coinbaseAfter - coinbaseBefore, BigInt(mint.amount) + COUNTER_GAS);
+});
+
+test("a call that runs out of gas uses all of it and is refunded nothing", async t => {
+    const chain = await createCounterChain(t);
+    const [ senderBefore, contractBefore, coinbaseBefore ] = await getBalances(chain.stores.stateDB);
+
+    const contractGas = COUNTER_GAS - 1n;
+    const receipt = await callCounter(chain, contractGas, 1);
+    const [ senderAfter, contractAfter, coinbaseAfter ] = await getBalances(chain.stores.stateDB);
+
+    assert.strictEqual(receipt.status, 0);
+    assert.strictEqual(receipt.gasUsed, contractGas.toString());
+
+    // The amount goes back to the sender, the contract is left untouched.
+    assert.strictEqual(senderBefore - senderAfter, 1000000000000n + contractGas);
+    assert.strictEqual(contractAfter, contractBefore);
+    assert.deepStrictEqual((await chain.stores.stateDB.get(contractAddress)).storage, {});
+
+    const mint = (await chain.stores.blockDB.get(chain.chainInfo.latestBlock.blockNumber.toString())).transactions[0];
+
+    assert.strictEqual(coinbaseAfter - coinbaseBefore, BigInt(mint.amount) + contractGas);
+});
+
+test("contract gas of a transaction that calls no contract is refunded", async t => {
+    const chain = await createCounterChain(t);
+    const { chainInfo, stores } = chain;
+    const [ senderBefore ] = await getBalances(stores.stateDB);
+
+    const tx = createTransfer(keyPair, "ab".repeat(32), 5, 1, { additionalData: { contractGas: "10000000000" } });
+
+    assert.strictEqual(await addBlock(createBlock(chainInfo.latestBlock, [ tx ], coinbase), chainInfo, stores), true);
+
+    const [ senderAfter ] = await getBalances(stores.stateDB);
+
+    assert.strictEqual(senderBefore - senderAfter, 5n + 1000000000000n);
+    assert.strictEqual((await stores.receiptDB.get(Transaction.getHash(tx))).gasUsed, "0");
+});
@@ -0,0 +1,104 @@
+"use strict";
+
+// Shared setup of the tests: a chain on real Level stores in a temporary directory, a consensus engine that accepts
+// every seal, and builders for blocks and transactions. Blocks are built below FORK_HEIGHT, so they have no state root
+// and tests check state roots with getStateRoot themselves.
+
+const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Level } = require("level");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const Block = require("../src/core/block");
+const Transaction = require("../src/core/transaction");
+const Mempool = require("../src/core/mempool");
+const { applyBlock } = require("../src/core/chain");
+const { setEngine } = require("../src/consensus/consensus");
+const { blockEncoding, forkEntryEncoding } = require("../src/core/encoding");
+const { BLOCK_REWARD, INITIAL_SUPPLY } = require("../src/config.json");
+
+const MINT_KEY_PAIR = ec.keyFromPrivate("0000000000000000000000000000000000000000000000000000000000000001", "hex");
+
+// Every block has a work of 1, so the branch with the most blocks wins.
+const TEST_ENGINE = {
+    verifySeal: () => true,
+    getBlockWork: () => 1n,
+    getDifficulty: async () => 1
+};
+
+const getAddress = keyPair => SHA256(keyPair.getPublic("hex"));
+
+async function openStores() {
+    // Stores like the node's (see server.js), "close" closes them and removes their directory.
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ekehi-test-"));
+    const open = (name, valueEncoding) => new Level(path.join(dir, name), { valueEncoding });
+
+    const stores = {
+        stateDB:   open("stateStore", "json"),
+        blockDB:   open("blockStore", blockEncoding),
+        forkDB:    open("forkStore", forkEntryEncoding),
+        journalDB: open("journalStore", "json"),
+        receiptDB: open("receiptStore", "json"),
+        indexDB:   open("indexStore", "json")
+    };
+
+    async function close() {
+        await Promise.all(Object.values(stores).map(db => db.close()));
+
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    return { stores, close };
+}
+
+function createTransfer(keyPair, recipient, amount, nonce, options = {}) {
+    // Signed transaction, options are { gas, additionalData }.
+    const tx = new Transaction(recipient, amount.toString(), (options.gas || "1000000000000").toString(), options.additionalData || {}, nonce);
+
+    Transaction.sign(tx, keyPair);
+
+    return tx;
+}
+
+function createBlock(parent, transactions = [], coinbase = "00".repeat(32)) {
+    // Block on top of "parent" with a mint transaction paying the reward and gas of "transactions" to "coinbase". Blocks
+    // with different transactions or coinbases on the same parent have different hashes.
+    const gas = transactions.reduce((total, tx) => total + BigInt(tx.gas), 0n);
+    const timestamp = parent.timestamp + 1000;
+    const mint = new Transaction(coinbase, (BigInt(BLOCK_REWARD) + gas).toString(), "0", {}, 0, Transaction.getChainId(), timestamp);
+
+    Transaction.sign(mint, MINT_KEY_PAIR);
+
+    return new Block(parent.blockNumber + 1, timestamp, [ mint, ...transactions ], 1, parent.hash);
+}
+
+async function createChain(keyPair) {
+    // Chain whose genesis block mints the initial supply to "keyPair", "close" closes its stores.
+    const { stores, close } = await openStores();
+
+    setEngine(TEST_ENGINE);
+
+    // Blocks are a second apart, the chain starts far enough in the past for their timestamps to stay below now.
+    const timestamp = Date.now() - 24 * 60 * 60 * 1000;
+    const mint = new Transaction(getAddress(keyPair), INITIAL_SUPPLY, "0", {}, 0, Transaction.getChainId(), timestamp);
+
+    Transaction.sign(mint, MINT_KEY_PAIR);
+
+    const genesis = new Block(1, timestamp, [ mint ], 1, "");
+
+    const chainInfo = {
+        mempool: new Mempool(stores.stateDB),
+        latestBlock: genesis,
+        difficulty: 1,
+        totalWork: 0n,
+        syncing: false
+    };
+
+    await applyBlock(genesis, chainInfo, stores);
+
+    return { chainInfo, stores, genesis, close };
+}
+
+module.exports = { TEST_ENGINE, getAddress, openStores, createTransfer, createBlock, createChain };
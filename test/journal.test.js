@@ -0,0 +1,136 @@
+"use strict";
+
+// Undoing blocks with their state journals (see journal.js and chain.js). Run with "npm test".
+
+const test = require("node:test");
+const assert = require("node:assert");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const { applyBlock, revertBlock, addBlock } = require("../src/core/chain");
+const { getStateRoot } = require("../src/core/stateRoot");
+const { getAddress, createTransfer, createBlock, createChain } = require("./helpers");
+
+const keyPair = ec.keyFromPrivate("1111111111111111111111111111111111111111111111111111111111111111", "hex");
+const contractKeyPair = ec.keyFromPrivate("2222222222222222222222222222222222222222222222222222222222222222", "hex");
+
+const COUNTER = "pull c, n\nadd c, 1\nstore n, $c";
+
+function createContractBlocks(genesis) {
+    // Fund an account, deploy a counter at it and call the counter, which touches balances, nonces, bodies and storage.
+    const b2 = createBlock(genesis, [ createTransfer(keyPair, getAddress(contractKeyPair), "100000000000000", 0) ]);
+    const b3 = createBlock(b2, [ createTransfer(contractKeyPair, "", 0, 0, { additionalData: { scBody: COUNTER } }) ]);
+    const b4 = createBlock(b3, [
+        createTransfer(keyPair, getAddress(contractKeyPair), 5, 1, { additionalData: { contractGas: "10000000000" } })
+    ]);
+
+    return [ b2, b3, b4 ];
+}
+
+test("reverting blocks gives back the state before each of them", async t => {
+    const { chainInfo, stores, genesis, close } = await createChain(keyPair);
+
+    t.after(close);
+
+    const stateRoots = [ await getStateRoot(stores.stateDB) ];
+    const blocks = createContractBlocks(genesis);
+
+    for (const block of blocks) {
+        assert.strictEqual(await addBlock(block, chainInfo, stores), true);
+
+        stateRoots.push(await getStateRoot(stores.stateDB));
+    }
+
+    assert.deepStrictEqual((await stores.stateDB.get(getAddress(contractKeyPair))).storage, { n: "1" });
+
+    for (const block of [ ...blocks ].reverse()) {
+        stateRoots.pop();
+
+        assert.strictEqual((await revertBlock(chainInfo, stores)).hash, block.hash);
+        assert.strictEqual(await getStateRoot(stores.stateDB), stateRoots[stateRoots.length - 1]);
+        assert.deepStrictEqual(await stores.journalDB.getMany([ block.hash ]), [ undefined ]);
+        assert.deepStrictEqual(await stores.blockDB.getMany([ block.blockNumber.toString() ]), [ undefined ]);
+    }
+
+    assert.strictEqual(chainInfo.latestBlock.hash, genesis.hash);
+
+    // The genesis block can not be reverted.
+    assert.strictEqual(await revertBlock(chainInfo, stores), null);
+});
+
+test("a reorganization followed by a revert gives back the same state root", async t => {
+    const { chainInfo, stores, genesis, close } = await createChain(keyPair);
+
+    t.after(close);
+
+    const genesisStateRoot = await getStateRoot(stores.stateDB);
+    const [ a2, a3 ] = createContractBlocks(genesis);
+
+    assert.strictEqual(await addBlock(a2, chainInfo, stores), true);
+    assert.strictEqual(await addBlock(a3, chainInfo, stores), true);
+
+    // A longer branch with a transfer to somebody else.
+    const b2 = createBlock(genesis, [ createTransfer(keyPair, "ab".repeat(32), 7, 0) ], "cd".repeat(32));
+    const b3 = createBlock(b2, [], "cd".repeat(32));
+    const b4 = createBlock(b3, [], "cd".repeat(32));
+
+    assert.strictEqual(await addBlock(b2, chainInfo, stores), false);
+    assert.strictEqual(await addBlock(b3, chainInfo, stores), false);
+    assert.strictEqual(await addBlock(b4, chainInfo, stores), true);
+
+    // A node that has only seen the new branch, up to b3.
+    const other = await createChain(keyPair);
+
+    t.after(other.close);
+
+    await applyBlock(b2, other.chainInfo, other.stores);
+    await applyBlock(b3, other.chainInfo, other.stores);
+
+    assert.strictEqual((await revertBlock(chainInfo, stores)).hash, b4.hash);
+    assert.strictEqual(await getStateRoot(stores.stateDB), await getStateRoot(other.stores.stateDB));
+
+    await revertBlock(chainInfo, stores);
+    await revertBlock(chainInfo, stores);
+
+    assert.strictEqual(await getStateRoot(stores.stateDB), genesisStateRoot);
+});
+
+test("blocks without a journal are rewound by rebuilding the state", async t => {
+    const { chainInfo, stores, genesis, close } = await createChain(keyPair);
+
+    t.after(close);
+
+    const [ a2, a3 ] = createContractBlocks(genesis);
+
+    assert.strictEqual(await addBlock(a2, chainInfo, stores), true);
+    assert.strictEqual(await addBlock(a3, chainInfo, stores), true);
+
+    // Like a block applied before journals were recorded.
+    await stores.journalDB.del(a2.hash);
+
+    const b2 = createBlock(genesis, [], "cd".repeat(32));
+    const b3 = createBlock(b2, [], "cd".repeat(32));
+    const b4 = createBlock(b3, [], "cd".repeat(32));
+
+    for (const block of [ b2, b3, b4 ]) {
+        await addBlock(block, chainInfo, stores);
+    }
+
+    assert.strictEqual(chainInfo.latestBlock.hash, b4.hash);
+
+    const other = await createChain(keyPair);
+
+    t.after(other.close);
+
+    for (const block of [ b2, b3, b4 ]) {
+        await applyBlock(block, other.chainInfo, other.stores);
+    }
+
+    assert.strictEqual(await getStateRoot(stores.stateDB), await getStateRoot(other.stores.stateDB));
+
+    // The rebuilt blocks have journals again, so they can be reverted.
+    for (let count = 0; count < 3; count++) {
+        assert.notStrictEqual(await revertBlock(chainInfo, stores), null);
+    }
+
+    assert.strictEqual(chainInfo.latestBlock.hash, genesis.hash);
+});
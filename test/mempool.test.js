@@ -0,0 +1,100 @@
+"use strict";
+
+// Limits, expiry and replacements of the transaction pool (see mempool.js). Run with "npm test".
+
+const test = require("node:test");
+const assert = require("node:assert");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const Transaction = require("../src/core/transaction");
+const Mempool = require("../src/core/mempool");
+const { createAccount } = require("../src/core/account");
+const { getAddress, openStores, createTransfer } = require("./helpers");
+
+const keyPairs = [ "11", "22", "33" ].map(byte => ec.keyFromPrivate(byte.repeat(32), "hex"));
+const recipient = "ab".repeat(32);
+
+async function createPool(t, options) {
+    // Pool on a state where every key pair has an account with enough to pay for a few transactions.
+    const { stores, close } = await openStores();
+
+    t.after(close);
+
+    for (const keyPair of keyPairs) {
+        await stores.stateDB.put(getAddress(keyPair), createAccount("10000000000000"));
+    }
+
+    return new Mempool(stores.stateDB, options);
+}
+
+const getHashes = mempool => mempool.getTransactions().map(tx => Transaction.getHash(tx));
+
+test("a transaction is only replaced by one paying at least 10% more", async t => {
+    const mempool = await createPool(t);
+    const tx = createTransfer(keyPairs[0], recipient, 1, 0, { gas: "1000000000000" });
+
+    assert.strictEqual(await mempool.add(tx), true);
+    assert.strictEqual(await mempool.add(tx), false); // Already in the pool
+
+    const lowBump = createTransfer(keyPairs[0], recipient, 2, 0, { gas: "1090000000000" });
+    const highBump = createTransfer(keyPairs[0], recipient, 3, 0, { gas: "1100000000000" });
+
+    assert.strictEqual(await mempool.add(lowBump), false);
+    assert.deepStrictEqual(getHashes(mempool), [ Transaction.getHash(tx) ]);
+
+    assert.strictEqual(await mempool.add(highBump), true);
+    assert.deepStrictEqual(getHashes(mempool), [ Transaction.getHash(highBump) ]);
+    assert.strictEqual(mempool.size, 1);
+});
+
+test("transactions after a nonce gap wait for the ones before them", async t => {
+    const mempool = await createPool(t);
+    const txs = [ 0, 1, 2 ].map(nonce => createTransfer(keyPairs[0], recipient, 1, nonce));
+
+    assert.strictEqual(await mempool.add(txs[1]), true);
+    assert.deepStrictEqual(getHashes(mempool), []);
+
+    assert.strictEqual(await mempool.add(txs[0]), true);
+    assert.deepStrictEqual(getHashes(mempool), txs.slice(0, 2).map(tx => Transaction.getHash(tx)));
+
+    // Nonces that are already used are not taken.
+    const [ state ] = await mempool.stateDB.getMany([ getAddress(keyPairs[0]) ]);
+
+    await mempool.stateDB.put(getAddress(keyPairs[0]), { ...state, nonce: 3 });
+
+    assert.strictEqual(await mempool.add(txs[2]), false);
+});
+
+test("a full pool evicts its lowest paying transaction for a better paying one", async t => {
+    const mempool = await createPool(t, { maxSize: 2, maxAccountTxs: 1 });
+    const low = createTransfer(keyPairs[0], recipient, 1, 0, { gas: "1200000000000" });
+    const high = createTransfer(keyPairs[1], recipient, 1, 0, { gas: "1500000000000" });
+
+    assert.strictEqual(await mempool.add(low), true);
+    assert.strictEqual(await mempool.add(high), true);
+
+    // Every sender can only have "maxAccountTxs" transactions.
+    assert.strictEqual(await mempool.add(createTransfer(keyPairs[1], recipient, 1, 1, { gas: "3000000000000" })), false);
+
+    assert.strictEqual(await mempool.add(createTransfer(keyPairs[2], recipient, 1, 0, { gas: "1100000000000" })), false);
+
+    const better = createTransfer(keyPairs[2], recipient, 1, 0, { gas: "2000000000000" });
+
+    assert.strictEqual(await mempool.add(better), true);
+    assert.deepStrictEqual(new Set(getHashes(mempool)), new Set([ high, better ].map(tx => Transaction.getHash(tx))));
+    assert.strictEqual(mempool.size, 2);
+});
+
+test("transactions expire", async t => {
+    const mempool = await createPool(t, { txLifetime: 50 });
+
+    assert.strictEqual(await mempool.add(createTransfer(keyPairs[0], recipient, 1, 0)), true);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const tx = createTransfer(keyPairs[1], recipient, 1, 0);
+
+    assert.strictEqual(await mempool.add(tx), true);
+    assert.deepStrictEqual(getHashes(mempool), [ Transaction.getHash(tx) ]);
+    assert.strictEqual(mempool.size, 1);
+});
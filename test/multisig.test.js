@@ -0,0 +1,123 @@
+"use strict";
+
+// Multisig accounts and the collector of their signatures (see account.js and multisig.js). Run with "npm test".
+
+const test = require("node:test");
+const assert = require("node:assert");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const Transaction = require("../src/core/transaction");
+const MultisigCollector = require("../src/core/multisig");
+const { addBlock } = require("../src/core/chain");
+const { getMultisigAddress } = require("../src/core/account");
+const { getAddress, createTransfer, createBlock, createChain } = require("./helpers");
+
+const keyPair = ec.keyFromPrivate("1111111111111111111111111111111111111111111111111111111111111111", "hex");
+const signerKeyPairs = [ "22", "33", "44" ].map(byte => ec.keyFromPrivate(byte.repeat(32), "hex"));
+const outsiderKeyPair = ec.keyFromPrivate("55".repeat(32), "hex");
+const recipient = "ab".repeat(32);
+
+const multisigAddress = getMultisigAddress(getAddress(keyPair), 0);
+const timestamp = Date.now(); // So that transactions with the same nonce have the same hash and signatures
+
+async function createMultisigChain(t) {
+    // Chain with a 2 of 3 multisig account holding some coins.
+    const chain = await createChain(keyPair);
+
+    t.after(chain.close);
+
+    const multisig = { signers: signerKeyPairs.map(getAddress), threshold: 2 };
+    const block = createBlock(chain.genesis, [ createTransfer(keyPair, multisigAddress, "10000000000000", 0, { additionalData: { multisig } }) ]);
+
+    assert.strictEqual(await addBlock(block, chain.chainInfo, chain.stores), true);
+
+    return chain;
+}
+
+function createMultisigTransfer(nonce, signers) {
+    const tx = Transaction.createMultisig(multisigAddress, recipient, "1000", "1000000000000", {}, nonce, Transaction.getChainId(), timestamp);
+
+    for (const signer of signers) {
+        Transaction.sign(tx, signer);
+    }
+
+    return tx;
+}
+
+test("multisig transactions need threshold distinct registered signers", async t => {
+    const { chainInfo, stores } = await createMultisigChain(t);
+    const { stateDB } = stores;
+
+    assert.strictEqual((await stateDB.get(multisigAddress)).multisig.threshold, 2);
+
+    assert.strictEqual(await Transaction.isValid(createMultisigTransfer(0, [ signerKeyPairs[0] ]), stateDB), false);
+    assert.strictEqual(await Transaction.isValid(createMultisigTransfer(0, [ signerKeyPairs[0], signerKeyPairs[0] ]), stateDB), false);
+    assert.strictEqual(await Transaction.isValid(createMultisigTransfer(0, [ signerKeyPairs[0], outsiderKeyPair ]), stateDB), false);
+
+    // A transaction from a multisig account with one plain signature is not valid either.
+    const plain = new Transaction(recipient, "1000", "1000000000000", {}, 0);
+
+    Transaction.sign(plain, signerKeyPairs[0]);
+    plain.sender = multisigAddress;
+
+    assert.strictEqual(await Transaction.isValid(plain, stateDB), false);
+
+    const underSigned = createBlock(chainInfo.latestBlock, [ createMultisigTransfer(0, [ signerKeyPairs[1] ]) ]);
+
+    assert.strictEqual(await addBlock(underSigned, chainInfo, stores), false);
+
+    const tx = createMultisigTransfer(0, [ signerKeyPairs[2], signerKeyPairs[0] ]);
+
+    assert.strictEqual(await Transaction.isValid(tx, stateDB), true);
+    assert.strictEqual(await addBlock(createBlock(chainInfo.latestBlock, [ tx ]), chainInfo, stores), true);
+
+    assert.strictEqual((await stateDB.get(recipient)).balance, "1000");
+    assert.strictEqual((await stateDB.get(multisigAddress)).nonce, 1);
+});
+
+test("the collector sends a proposal once enough signers have signed", async t => {
+    const { stores } = await createMultisigChain(t);
+    const sent = [];
+    const collector = new MultisigCollector(stores.stateDB, async tx => {
+        sent.push(tx);
+
+        return true;
+    });
+
+    // Proposals must be signed by a registered signer.
+    await assert.rejects(collector.propose(createMultisigTransfer(0, [])), { message: "Proposal is not signed by a registered signer." });
+    await assert.rejects(collector.propose(createMultisigTransfer(0, [ outsiderKeyPair ])), { message: "Signer is not registered." });
+    assert.strictEqual(collector.proposals.size, 0);
+
+    const proposal = await collector.propose(createMultisigTransfer(0, [ signerKeyPairs[0] ]));
+
+    assert.deepStrictEqual(proposal.signers, [ getAddress(signerKeyPairs[0]) ]);
+    assert.strictEqual(proposal.submitted, false);
+
+    // Signing twice does not count twice.
+    const signature = createMultisigTransfer(0, [ signerKeyPairs[0] ]).signatures[0];
+
+    assert.strictEqual((await collector.sign(proposal.hash, signature)).submitted, false);
+    assert.strictEqual(sent.length, 0);
+
+    const status = await collector.sign(proposal.hash, createMultisigTransfer(0, [ signerKeyPairs[1] ]).signatures[0]);
+
+    assert.strictEqual(status.submitted, true);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(await Transaction.isValid(sent[0], stores.stateDB), true);
+});
+
+test("the collector keeps a limited amount of proposals per account", async t => {
+    const { stores } = await createMultisigChain(t);
+    const collector = new MultisigCollector(stores.stateDB, async () => true, { maxSenderProposals: 2 });
+
+    const hashes = [];
+
+    for (let nonce = 0; nonce < 3; nonce++) {
+        hashes.push((await collector.propose(createMultisigTransfer(nonce, [ signerKeyPairs[0] ]))).hash);
+    }
+
+    assert.strictEqual(collector.getStatus(hashes[0]), null);
+    assert.notStrictEqual(collector.getStatus(hashes[1]), null);
+    assert.notStrictEqual(collector.getStatus(hashes[2]), null);
+});
@@ -0,0 +1,122 @@
+"use strict";
+
+// Failed contract calls leave nothing behind (see runtime.js and buffer.js). Run with "npm test".
+
+const test = require("node:test");
+const assert = require("node:assert");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const jelscript = require("../src/core/runtime");
+const Transaction = require("../src/core/transaction");
+const { addBlock } = require("../src/core/chain");
+const { createAccount } = require("../src/core/account");
+const { setProgram } = require("../src/core/assembler");
+const { getStateRoot } = require("../src/core/stateRoot");
+const { getAddress, openStores, createTransfer, createBlock, createChain } = require("./helpers");
+
+const keyPair = ec.keyFromPrivate("1111111111111111111111111111111111111111111111111111111111111111", "hex");
+const contractKeyPair = ec.keyFromPrivate("2222222222222222222222222222222222222222222222222222222222222222", "hex");
+
+const CALLER = "a1".repeat(32);
+const CALLEE = "a2".repeat(32);
+const TARGET = "a3".repeat(32);
+
+async function createContracts(t, contracts) {
+    // State with a contract account holding 1000 at each address of "contracts", which maps addresses to sources.
+    const { stores, close } = await openStores();
+
+    t.after(close);
+
+    for (const [ address, body ] of Object.entries(contracts)) {
+        await stores.stateDB.put(address, setProgram({ ...createAccount("1000"), body }));
+    }
+
+    return stores.stateDB;
+}
+
+async function run(stateDB, address) {
+    // Call a contract the way a transaction with plenty of contract gas does.
+    const tx = createTransfer(keyPair, address, 0, 0, { additionalData: { contractGas: "100000000000" } });
+    const block = { blockNumber: 2, timestamp: Date.now(), difficulty: 1, parentHash: "", hash: "" };
+
+    return await jelscript(await stateDB.get(address), 100000000000n, stateDB, block, tx, { address }, false);
+}
+
+test("a contract that reverts discards its writes, sends and logs", async t => {
+    const stateDB = await createContracts(t, {
+        [CALLER]: `store n, 1\nsend ${TARGET}, 10\nlog hello\nrevert nope`
+    });
+    const stateRoot = await getStateRoot(stateDB);
+
+    const result = await run(stateDB, CALLER);
+
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.error, "Reverted: nope");
+    assert.deepStrictEqual(result.logs, []);
+    assert.notStrictEqual(result.gasUsed, "0"); // The gas is still paid
+
+    assert.strictEqual(await getStateRoot(stateDB), stateRoot);
+    assert.deepStrictEqual(await stateDB.getMany([ TARGET ]), [ undefined ]);
+});
+
+test("a failed call fails its caller and undoes both", async t => {
+    const stateDB = await createContracts(t, {
+        [CALLER]: `store a, 1\ncall r, ${CALLEE}, 5, 10000000000\nstore b, $r`,
+        [CALLEE]: "store c, 1\nlog inner\nrevert"
+    });
+    const stateRoot = await getStateRoot(stateDB);
+
+    const result = await run(stateDB, CALLER);
+
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.error, `Call to "${CALLEE}" failed: Reverted.`);
+    assert.deepStrictEqual(result.logs, []);
+    assert.strictEqual(await getStateRoot(stateDB), stateRoot);
+});
+
+test("a call that goes through commits the changes of both contracts", async t => {
+    const stateDB = await createContracts(t, {
+        [CALLER]: `store a, 1\ncall r, ${CALLEE}, 5, 10000000000\nstore b, $r`,
+        [CALLEE]: "store c, 1\nlog inner\nreturn 7"
+    });
+
+    const result = await run(stateDB, CALLER);
+
+    assert.strictEqual(result.status, 1);
+    assert.deepStrictEqual(result.logs, [ { address: CALLEE, topics: [], data: "inner" } ]);
+
+    const [ caller, callee ] = await stateDB.getMany([ CALLER, CALLEE ]);
+
+    assert.deepStrictEqual(caller.storage, { a: "1", b: "7" });
+    assert.deepStrictEqual(callee.storage, { c: "1" });
+    assert.strictEqual(caller.balance, "995");
+    assert.strictEqual(callee.balance, "1005");
+});
+
+test("the amount sent to a contract that reverts goes back to the sender", async t => {
+    const { chainInfo, stores, genesis, close } = await createChain(keyPair);
+
+    t.after(close);
+
+    const contractAddress = getAddress(contractKeyPair);
+    const b2 = createBlock(genesis, [ createTransfer(keyPair, contractAddress, "100000000000000", 0) ]);
+    const b3 = createBlock(b2, [ createTransfer(contractKeyPair, "", 0, 0, { additionalData: { scBody: "store n, 1\nrevert" } }) ]);
+
+    assert.strictEqual(await addBlock(b2, chainInfo, stores), true);
+    assert.strictEqual(await addBlock(b3, chainInfo, stores), true);
+
+    const [ senderBefore, contractBefore ] = await stores.stateDB.getMany([ getAddress(keyPair), contractAddress ]);
+    const tx = createTransfer(keyPair, contractAddress, 5000, 1, { additionalData: { contractGas: "10000000000" } });
+
+    assert.strictEqual(await addBlock(createBlock(b3, [ tx ]), chainInfo, stores), true);
+
+    const [ senderAfter, contractAfter ] = await stores.stateDB.getMany([ getAddress(keyPair), contractAddress ]);
+    const receipt = await stores.receiptDB.get(Transaction.getHash(tx));
+
+    assert.strictEqual(receipt.status, 0);
+    assert.strictEqual(receipt.error, "Reverted.");
+
+    // Only the transaction's gas and the contract gas used until the revert are paid.
+    assert.strictEqual(BigInt(senderBefore.balance) - BigInt(senderAfter.balance), 1000000000000n + BigInt(receipt.gasUsed));
+    assert.deepStrictEqual(contractAfter, contractBefore);
+});
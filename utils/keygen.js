@@ -1,13 +1,5 @@
-const crypto = require("crypto"), SHA256 = message => crypto.createHash("sha256").update(message).digest("hex");
+// Deprecated: keys printed in plain text end up in shell history and config files. Accounts are created in the
+// encrypted keystore with wallet.js instead (see README.md).
 
-const EC = require("elliptic").ec, ec = new EC("secp256k1");
-
-const keyPair = ec.genKeyPair();
-
-const pubKey = keyPair.getPublic("hex");
-const privKey = keyPair.getPrivate("hex");
-const address = SHA256(pubKey);
-
-console.log("Address:", address);
-console.log("Private key:", privKey);
-console.log("Public key:", pubKey);
+console.log("keygen.js is deprecated, it no longer prints keys. Create an account in the keystore with:");
+console.log("node wallet.js create");
@@ -0,0 +1,46 @@
+// Revert the latest blocks of the local chain, used to recover from bad blocks without resyncing from genesis.
+// Stop the node before running this, usage: node revert.js <amount_of_blocks>
+
+const { Level } = require("level");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const { revertBlock, loadChain } = require("../src/core/chain");
+const { createEngine, setEngine } = require("../src/consensus/consensus");
+const { CONSENSUS = "pow", AUTHORITIES = [] } = require("../config.json");
+const { blockEncoding, forkEntryEncoding } = require("../src/core/encoding");
+
+const amount = parseInt(process.argv[2] || "1");
+
+// Blocks are weighed and retargeted by the node's consensus engine. Nothing is sealed here, so any key will do.
+setEngine(createEngine(CONSENSUS, { authorities: AUTHORITIES, keyPair: ec.genKeyPair() }));
+
+const stores = {
+    stateDB:   new Level(__dirname + "/../src/log/stateStore", { valueEncoding: "json" }),
+    blockDB:   new Level(__dirname + "/../src/log/blockStore", { valueEncoding: blockEncoding }),
+    forkDB:    new Level(__dirname + "/../src/log/forkStore", { valueEncoding: forkEntryEncoding }),
+    journalDB: new Level(__dirname + "/../src/log/journalStore", { valueEncoding: "json" }),
+    receiptDB: new Level(__dirname + "/../src/log/receiptStore", { valueEncoding: "json" }),
+    indexDB:   new Level(__dirname + "/../src/log/indexStore", { valueEncoding: "json" })
+};
+
+(async () => {
+    const chainInfo = { latestBlock: null, difficulty: 1, totalWork: 0n };
+
+    await loadChain(chainInfo, stores);
+
+    for (let count = 0; count < amount; count++) {
+        const block = await revertBlock(chainInfo, stores);
+
+        if (!block) {
+            console.log(`Can not revert block #${chainInfo.latestBlock.blockNumber}, no journal was recorded for it.`);
+            break;
+        }
+
+        // Forget the block so that it will not be picked up again through fork choice.
+        await stores.forkDB.del(block.hash);
+
+        console.log(`Reverted block #${block.blockNumber} (${block.hash}).`);
+    }
+
+    console.log(`Latest block is now #${chainInfo.latestBlock.blockNumber}.`);
+})();
@@ -0,0 +1,46 @@
+// Export or import a snapshot of the account state at a block, used to start new nodes without replaying the whole chain.
+// Stop the node before running this, usage:
+// node snapshot.js export <block_number> <file>
+// node snapshot.js import <file>
+
+const { Level } = require("level");
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const { exportSnapshot, importSnapshot } = require("../src/core/snapshot");
+const { createEngine, setEngine } = require("../src/consensus/consensus");
+const { CONSENSUS = "pow", AUTHORITIES = [] } = require("../config.json");
+const { blockEncoding, forkEntryEncoding } = require("../src/core/encoding");
+
+const [ command, ...args ] = process.argv.slice(2);
+
+// Blocks are weighed and retargeted by the node's consensus engine. Nothing is sealed here, so any key will do.
+setEngine(createEngine(CONSENSUS, { authorities: AUTHORITIES, keyPair: ec.genKeyPair() }));
+
+const stores = {
+    stateDB:   new Level(__dirname + "/../src/log/stateStore", { valueEncoding: "json" }),
+    blockDB:   new Level(__dirname + "/../src/log/blockStore", { valueEncoding: blockEncoding }),
+    forkDB:    new Level(__dirname + "/../src/log/forkStore", { valueEncoding: forkEntryEncoding }),
+    journalDB: new Level(__dirname + "/../src/log/journalStore", { valueEncoding: "json" }),
+    receiptDB: new Level(__dirname + "/../src/log/receiptStore", { valueEncoding: "json" }),
+    indexDB:   new Level(__dirname + "/../src/log/indexStore", { valueEncoding: "json" })
+};
+
+(async () => {
+    try {
+        if (command === "export") {
+            const snapshot = await exportSnapshot(parseInt(args[0]), args[1], stores);
+
+            console.log(`Exported ${snapshot.accounts.length} accounts at block #${snapshot.block.blockNumber} to ${args[1]}.`);
+            console.log("Block hash:", snapshot.block.hash);
+        } else if (command === "import") {
+            const snapshot = await importSnapshot(args[0], stores);
+
+            console.log(`Imported ${snapshot.accounts.length} accounts at block #${snapshot.block.blockNumber}.`);
+            console.log("Block hash:", snapshot.block.hash);
+        } else {
+            console.log("Usage: node snapshot.js export <block_number> <file> | node snapshot.js import <file>");
+        }
+    } catch (e) {
+        console.log("Error:", e.message);
+    }
+})();
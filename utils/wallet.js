@@ -0,0 +1,109 @@
+// Manage the accounts of the keystore, keys are encrypted with a password (see src/wallet/keystore.js).
+// Usage:
+//   node wallet.js create                         Create an account from a new random key
+//   node wallet.js create --mnemonic [--words n]  Create an account from a new mnemonic (12 words by default)
+//   node wallet.js import                         Import an account from its private key
+//   node wallet.js import --mnemonic [--index n]  Import the account at index n (0 by default) of a mnemonic
+//   node wallet.js list                           List the accounts of the keystore
+//   node wallet.js export <address>               Print the private key of an account
+// Options:
+//   --keystore <dir>       Keystore directory, default is ./keystore at the root of the project
+//   --password-file <file> Read the password from the first line of a file instead of asking for it
+//   --kdf <scrypt|pbkdf2>  Key derivation function for new accounts, default is scrypt
+
+const EC = require("elliptic").ec, ec = new EC("secp256k1");
+
+const { KEYSTORE_DIR, getAddress, isValidPrivateKey, encryptKey, saveKey, listKeys, unlockKey } = require("../src/wallet/keystore");
+const { generateMnemonic, isValidMnemonic, getPath, derivePrivateKey } = require("../src/wallet/hd");
+const { ask, readPassword } = require("../src/utils/prompt");
+
+const [ command, ...args ] = process.argv.slice(2);
+
+function getOption(name, defaultValue = null) {
+    const index = args.indexOf(name);
+
+    return index === -1 ? defaultValue : args[index + 1];
+}
+
+const keystoreDir  = getOption("--keystore", KEYSTORE_DIR);
+const passwordFile = getOption("--password-file");
+const kdf          = getOption("--kdf", "scrypt");
+
+async function askNewPassword() {
+    const password = await readPassword("Password: ", passwordFile);
+
+    // Typos in a new password would lock the account forever, so it is asked twice.
+    if (!passwordFile && (await readPassword("Repeat password: ")) !== password) throw new Error("Passwords do not match.");
+
+    if (password === "") throw new Error("Password can not be empty.");
+
+    return password;
+}
+
+async function addAccount(privateKey, hdPath = null) {
+    const password = await askNewPassword();
+
+    await saveKey(await encryptKey(privateKey, password, hdPath, kdf), keystoreDir);
+
+    return getAddress(privateKey);
+}
+
+(async () => {
+    switch (command) {
+        case "create":
+            if (args.includes("--mnemonic")) {
+                const mnemonic = generateMnemonic(parseInt(getOption("--words", "12")));
+                const address = await addAccount(derivePrivateKey(mnemonic, getPath(0)), getPath(0));
+
+                console.log("Mnemonic:", mnemonic);
+                console.log("Write these words down and keep them safe, they are the only way to recover your accounts if the keystore is lost.");
+                console.log("Address:", address);
+            } else {
+                console.log("Address:", await addAccount(ec.genKeyPair().getPrivate("hex").padStart(64, "0")));
+            }
+
+            break;
+
+        case "import":
+            if (args.includes("--mnemonic")) {
+                const mnemonic = (await ask("Mnemonic: ", true)).trim().split(/\s+/).join(" ");
+                const index = parseInt(getOption("--index", "0"));
+
+                if (!isValidMnemonic(mnemonic)) throw new Error("Invalid mnemonic.");
+                if (!Number.isInteger(index) || index < 0) throw new Error("Invalid index.");
+
+                console.log("Address:", await addAccount(derivePrivateKey(mnemonic, getPath(index)), getPath(index)));
+            } else {
+                const privateKey = (await ask("Private key: ", true)).trim().toLowerCase();
+
+                if (!isValidPrivateKey(privateKey)) throw new Error("Invalid private key.");
+
+                console.log("Address:", await addAccount(privateKey));
+            }
+
+            break;
+
+        case "list":
+            for (const { address, path } of await listKeys(keystoreDir)) {
+                console.log(path ? `${address} (${path})` : address);
+            }
+
+            break;
+
+        case "export":
+            if (!args[0]) throw new Error("Usage: node wallet.js export <address>");
+
+            console.log("Private key:", await unlockKey(args[0], await readPassword("Password: ", passwordFile), keystoreDir));
+
+            break;
+
+        default:
+            console.log("Usage: node wallet.js <create|import|list|export> [options], see the top of wallet.js.");
+    }
+
+    process.exit(0);
+})().catch(err => {
+    console.log("Error:", err.message);
+
+    process.exit(1);
+});